@@ -124,6 +124,104 @@ public class MediaApiController : ControllerBase
         }
     }
 
+    [HttpGet("lookup")]
+    public async Task<ActionResult> LookupMedia([FromQuery] string[] names)
+    {
+        try
+        {
+            var nameList = names.Select(n => n.Trim()).Where(n => !string.IsNullOrEmpty(n)).Distinct().ToList();
+            if (!nameList.Any())
+                return BadRequest(new { error = "names parameter is required" });
+            if (nameList.Count > MaxLookupNames)
+                return BadRequest(new { error = $"At most {MaxLookupNames} names can be looked up at once" });
+
+            var mediaFiles = await _mediaService.GetMediaFilesByNamesAsync(nameList);
+
+            // Names without an exact match are simply absent from the result
+            var media = mediaFiles.ToDictionary(kv => kv.Key, kv => new MediaItemResponse
+            {
+                Id = kv.Value.Id,
+                FileName = kv.Value.OriginalFileName,
+                Description = kv.Value.Description ?? "",
+                AltText = kv.Value.AltText ?? "",
+                ContentType = kv.Value.ContentType,
+                FileSize = kv.Value.FileSize,
+                UploadedAt = kv.Value.UploadedAt,
+                Url = Url.Action("GetFile", new { id = kv.Value.Id })!,
+                ThumbnailUrl = IsImage(kv.Value.ContentType)
+                    ? Url.Action("GetThumbnail", new { id = kv.Value.Id, size = 300 })
+                    : null,
+                Width = kv.Value.Width,
+                Height = kv.Value.Height
+            });
+
+            return Ok(new { media });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to lookup media");
+            return StatusCode(500, new { error = "Failed to lookup media" });
+        }
+    }
+
+    [HttpGet("suggest")]
+    public async Task<ActionResult> SuggestMedia([FromQuery] string? q, [FromQuery] int limit = 20)
+    {
+        try
+        {
+            var query = q?.Trim() ?? "";
+            limit = Math.Clamp(limit, 1, 50);
+
+            // Filter in the database and rank only what could match
+            var candidates = _context.MediaFiles.Where(m => !m.IsDeleted);
+            if (query.Length > 0)
+            {
+                var pattern = FuzzyMatcher.SubsequencePattern(query);
+                candidates = candidates.Where(m =>
+                    EF.Functions.ILike(m.OriginalFileName, pattern, FuzzyMatcher.LikeEscape) ||
+                    EF.Functions.ILike(m.Description, pattern, FuzzyMatcher.LikeEscape));
+            }
+            var prefix = FuzzyMatcher.PrefixPattern(query);
+            var mediaFiles = await candidates
+                .OrderByDescending(m => EF.Functions.ILike(m.OriginalFileName, prefix, FuzzyMatcher.LikeEscape))
+                .ThenByDescending(m => m.UploadedAt)
+                .Take(FuzzyMatcher.CandidateLimit)
+                .Select(m => new { m.OriginalFileName, m.Description, m.ContentType, m.FileSize, m.UploadedAt })
+                .ToListAsync(HttpContext.RequestAborted);
+
+            // Fuzzy rank over file name and description; an empty query lists recent uploads
+            var items = mediaFiles
+                .Select(m => new
+                {
+                    Media = m,
+                    Score = FuzzyMatcher.ScoreFields(query, (m.OriginalFileName, 1.0), (m.Description, 0.5))
+                })
+                .Where(m => m.Score.HasValue)
+                .OrderByDescending(m => m.Score)
+                .ThenByDescending(m => m.Media.UploadedAt)
+                .Take(limit)
+                .Select(m => new
+                {
+                    fileName = m.Media.OriginalFileName,
+                    contentType = m.Media.ContentType,
+                    fileSize = m.Media.FileSize
+                })
+                .ToList();
+
+            return Ok(new { items });
+        }
+        catch (OperationCanceledException)
+        {
+            // The editor cancels superseded queries while the user keeps typing
+            return new EmptyResult();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to suggest media for query {Query}", q);
+            return StatusCode(500, new { error = "Failed to suggest media" });
+        }
+    }
+
     [HttpGet("{id}/details")]
     public async Task<ActionResult<MediaItemResponse>> GetMediaDetails(Guid id)
     {
@@ -281,6 +379,8 @@ public class MediaApiController : ControllerBase
         }
     }
 
+    private const int MaxLookupNames = 200;
+
     private static bool IsImage(string contentType) =>
         contentType.StartsWith("image/", StringComparison.OrdinalIgnoreCase);
 }
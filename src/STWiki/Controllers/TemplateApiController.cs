@@ -0,0 +1,69 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using STWiki.Data;
+using STWiki.Services;
+
+namespace STWiki.Controllers;
+
+[ApiController]
+[Route("api/templates")]
+[Authorize]
+public class TemplateApiController : ControllerBase
+{
+    private const int MaxPreviewMacros = 50;
+
+    private readonly AppDbContext _context;
+    private readonly TemplateService _templateService;
+    private readonly ILogger<TemplateApiController> _logger;
+
+    public TemplateApiController(AppDbContext context, TemplateService templateService, ILogger<TemplateApiController> logger)
+    {
+        _context = context;
+        _templateService = templateService;
+        _logger = logger;
+    }
+
+    [HttpGet]
+    public IActionResult GetTemplates()
+    {
+        return Ok(new { templates = TemplateService.Templates });
+    }
+
+    [HttpPost("preview")]
+    public async Task<IActionResult> PreviewTemplates([FromBody] TemplatePreviewRequest request)
+    {
+        try
+        {
+            var macros = request.Macros.Where(m => !string.IsNullOrWhiteSpace(m)).Distinct().ToList();
+            if (!macros.Any())
+                return BadRequest(new { error = "No template macros provided" });
+            if (macros.Count > MaxPreviewMacros)
+                return BadRequest(new { error = $"At most {MaxPreviewMacros} templates can be previewed at once" });
+
+            // Templates like {{child-pages}} depend on the page being edited; new pages have none yet
+            var page = request.PageId.HasValue
+                ? await _context.Pages.FindAsync(request.PageId.Value)
+                : null;
+
+            // Unknown templates map to null so the editor can show its placeholder instead
+            var rendered = new Dictionary<string, string?>();
+            foreach (var macro in macros)
+            {
+                rendered[macro] = await _templateService.RenderTemplateAsync(macro, page);
+            }
+
+            return Ok(new { rendered });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to preview templates for page {PageId}", request.PageId);
+            return StatusCode(500, new { error = "Failed to preview templates" });
+        }
+    }
+}
+
+public class TemplatePreviewRequest
+{
+    public Guid? PageId { get; set; }
+    public List<string> Macros { get; set; } = new();
+}
@@ -37,6 +37,12 @@ public class WikiApiController : ControllerBase
             if (page.IsLocked)
                 return BadRequest(new { error = "Page is locked for editing" });
 
+            // Drafts replayed after the editor was offline name the commit they were based on; if the
+            // page was committed since, let the user decide instead of overlaying it. A second of slack
+            // covers the timestamp precision lost in the round trip through the database.
+            if (request.BasePageUpdatedAt.HasValue && page.UpdatedAt - request.BasePageUpdatedAt.Value > TimeSpan.FromSeconds(1))
+                return Conflict(new { error = "Page was committed after this draft was started", updatedAt = page.UpdatedAt, updatedBy = page.UpdatedBy });
+
             var currentUserId = User.Identity?.Name ?? "Anonymous";
             var contentToSave = request.Content;
 
@@ -94,6 +100,28 @@ public class WikiApiController : ControllerBase
             if (page.IsLocked)
                 return BadRequest(new { error = "Page is locked for editing" });
 
+            // The editor names the revision it started from. If someone committed since, hand back
+            // what a three-way merge needs (that revision, the page as it is now and the text sent)
+            // instead of overwriting their work.
+            var latestRevision = page.Revisions.OrderByDescending(r => r.CreatedAt).FirstOrDefault();
+            if (request.BaseRevisionId.HasValue && latestRevision != null && latestRevision.Id != request.BaseRevisionId.Value)
+            {
+                var baseRevision = page.Revisions.FirstOrDefault(r => r.Id == request.BaseRevisionId.Value);
+                _logger.LogInformation("Commit to page {PageId} based on revision {BaseRevisionId} conflicts with revision {LatestRevisionId}",
+                    id, request.BaseRevisionId, latestRevision.Id);
+                return Conflict(new
+                {
+                    error = "Page was committed after this edit was started",
+                    baseRevisionId = request.BaseRevisionId,
+                    latestRevisionId = latestRevision.Id,
+                    updatedAt = page.UpdatedAt,
+                    updatedBy = page.UpdatedBy,
+                    @base = baseRevision?.Snapshot ?? "",
+                    theirs = page.Body,
+                    mine = request.Content
+                });
+            }
+
             var currentUserId = User.Identity?.Name ?? "Anonymous";
             var contentToCommit = request.Content;
             
@@ -184,7 +212,7 @@ public class WikiApiController : ControllerBase
     }
 
     [HttpGet("lookup")]
-    public async Task<IActionResult> LookupPages([FromQuery] string? slugs)
+    public async Task<IActionResult> LookupPages([FromQuery] string? slugs, [FromQuery] bool headings = false)
     {
         try
         {
@@ -200,7 +228,17 @@ public class WikiApiController : ControllerBase
                 .Select(p => new { p.Slug, p.Title })
                 .ToDictionaryAsync(p => p.Slug, p => p.Title);
 
-            return Ok(new { pages = pages });
+            if (!headings)
+                return Ok(new { pages = pages });
+
+            // Section links need the target page's anchor ids, as the view page renders them
+            var bodies = await _context.Pages
+                .Where(p => slugList.Contains(p.Slug))
+                .Select(p => new { p.Slug, p.Body, p.BodyFormat })
+                .ToListAsync();
+            var pageHeadings = bodies.ToDictionary(p => p.Slug, p => _markdownService.ExtractHeadings(p.Body, p.BodyFormat));
+
+            return Ok(new { pages = pages, headings = pageHeadings });
         }
         catch (Exception ex)
         {
@@ -209,6 +247,63 @@ public class WikiApiController : ControllerBase
         }
     }
 
+    [HttpGet("suggest")]
+    public async Task<IActionResult> SuggestPages([FromQuery] string? q, [FromQuery] int limit = 20)
+    {
+        try
+        {
+            var query = q?.Trim() ?? "";
+            limit = Math.Clamp(limit, 1, 50);
+
+            // Filter in the database and rank only what could match; the parent path is part of the slug
+            var candidates = _context.Pages.AsQueryable();
+            if (query.Length > 0)
+            {
+                var pattern = FuzzyMatcher.SubsequencePattern(query);
+                candidates = candidates.Where(p =>
+                    EF.Functions.ILike(p.Title, pattern, FuzzyMatcher.LikeEscape) ||
+                    EF.Functions.ILike(p.Slug, pattern, FuzzyMatcher.LikeEscape));
+            }
+            var prefix = FuzzyMatcher.PrefixPattern(query);
+            var pages = await candidates
+                .OrderByDescending(p =>
+                    EF.Functions.ILike(p.Title, prefix, FuzzyMatcher.LikeEscape) ||
+                    EF.Functions.ILike(p.Slug, prefix, FuzzyMatcher.LikeEscape))
+                .ThenByDescending(p => p.UpdatedAt)
+                .Take(FuzzyMatcher.CandidateLimit)
+                .Select(p => new { p.Slug, p.Title, p.UpdatedAt })
+                .ToListAsync(HttpContext.RequestAborted);
+
+            // Fuzzy rank over title, slug and parent path; an empty query lists recently updated pages
+            var items = pages
+                .Select(p =>
+                {
+                    var slash = p.Slug.LastIndexOf('/');
+                    var path = slash > 0 ? p.Slug.Substring(0, slash) : "";
+                    var score = FuzzyMatcher.ScoreFields(query, (p.Title, 1.0), (p.Slug, 0.9), (path, 0.5));
+                    return new { p.Slug, p.Title, Path = path, p.UpdatedAt, Score = score };
+                })
+                .Where(p => p.Score.HasValue)
+                .OrderByDescending(p => p.Score)
+                .ThenByDescending(p => p.UpdatedAt)
+                .Take(limit)
+                .Select(p => new { slug = p.Slug, title = p.Title, path = p.Path })
+                .ToList();
+
+            return Ok(new { items });
+        }
+        catch (OperationCanceledException)
+        {
+            // The editor cancels superseded queries while the user keeps typing
+            return new EmptyResult();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to suggest pages for query {Query}", q);
+            return StatusCode(500, new { error = "Failed to suggest pages" });
+        }
+    }
+
     [HttpPost("{id}/set-render-mode")]
     [Authorize(Policy = "RequireAdmin")]
     public async Task<IActionResult> SetRenderMode(Guid id, [FromBody] RenderModeRequest request)
@@ -254,6 +349,9 @@ public class AutoSaveRequest
 {
     [Required]
     public string Content { get; set; } = "";
+
+    // When the page was last committed as far as the editor knows; null skips the conflict check
+    public DateTimeOffset? BasePageUpdatedAt { get; set; }
 }
 
 public class CommitRequest
@@ -265,6 +363,9 @@ public class CommitRequest
     
     [MaxLength(500)]
     public string? Summary { get; set; }
+
+    // Revision the edit started from; null skips the conflict check
+    public long? BaseRevisionId { get; set; }
 }
 
 public class RenderModeRequest
@@ -72,6 +72,19 @@ public class EditModel : PageModel
     public bool HasDraft { get; set; }
     public DateTimeOffset? LastDraftAt { get; set; }
     public DateTimeOffset? LastCommittedAt { get; set; }
+    // Committed body, when the editor opens a draft instead; the draft review diffs against it
+    public string? CommittedBody { get; set; }
+
+    // Latest revision when the editor was opened; a save based on an older one is a conflict
+    [BindProperty]
+    public long? BaseRevisionId { get; set; }
+
+    // Set when a save came back as a conflict: the revision it was based on, and the page as
+    // committed since, for the editor's three-way merge with the submitted text
+    public string? ConflictBase { get; set; }
+    public string? ConflictTheirs { get; set; }
+    public long? ConflictRevisionId { get; set; }
+    public string? ConflictUpdatedBy { get; set; }
 
     public async Task<IActionResult> OnGetAsync(string? slug)
     {
@@ -197,6 +210,12 @@ public class EditModel : PageModel
         HasDraft = userDraft != null;
         LastDraftAt = userDraft?.UpdatedAt;
         LastCommittedAt = existingPage.UpdatedAt;
+        CommittedBody = userDraft != null ? CleanStringForBlazor(existingPage.Body) : null;
+        BaseRevisionId = await _context.Revisions
+            .Where(r => r.PageId == existingPage.Id)
+            .OrderByDescending(r => r.CreatedAt)
+            .Select(r => (long?)r.Id)
+            .FirstOrDefaultAsync();
 
         // Check if page is locked - still show the form but with warnings
         if (existingPage.IsLocked)
@@ -466,6 +485,26 @@ public class EditModel : PageModel
                 .Where(r => r.PageId == existingPage.Id)
                 .OrderByDescending(r => r.CreatedAt)
                 .FirstOrDefaultAsync();
+
+            // Someone committed since this form was loaded: send the text back with what the merge needs
+            if (BaseRevisionId.HasValue && previousRevision != null && previousRevision.Id != BaseRevisionId.Value)
+            {
+                Console.WriteLine($"⚠️ FORM SUBMIT - Based on revision {BaseRevisionId}, latest is {previousRevision.Id}");
+                var baseRevision = await _context.Revisions
+                    .FirstOrDefaultAsync(r => r.Id == BaseRevisionId.Value && r.PageId == existingPage.Id);
+
+                ModelState.AddModelError("", $"{previousRevision.Author} saved this page while you were editing. Merge their changes with yours, then save again.");
+                ConflictBase = CleanStringForBlazor(baseRevision?.Snapshot ?? "");
+                ConflictTheirs = CleanStringForBlazor(existingPage.Body);
+                ConflictRevisionId = previousRevision.Id;
+                ConflictUpdatedBy = previousRevision.Author;
+                IsNew = false;
+                PageId = existingPage.Id;
+                OriginalSlug = existingPage.Slug;
+                Slug = originalSlugInput;
+                LastCommittedAt = existingPage.UpdatedAt;
+                return Page();
+            }
             
             // Create revision before updating the page
             var revision = new Revision
@@ -0,0 +1,93 @@
+using System.Text;
+
+namespace STWiki.Services;
+
+/// <summary>
+/// Subsequence matching for editor autocomplete. Mirrors fuzzyScore in wwwroot/js/wiki-editor.js,
+/// so suggestions re-ranked in the browser while a query is in flight keep the server's order.
+/// </summary>
+public static class FuzzyMatcher
+{
+    private const string WordBreaks = " -_/.";
+
+    /// <summary>Escape character for the LIKE patterns built here</summary>
+    public const string LikeEscape = "\\";
+
+    /// <summary>
+    /// Most rows the suggest endpoints take from the database to rank in memory. Short queries match
+    /// most rows, so prefix matches and the most recent rows come first.
+    /// </summary>
+    public const int CandidateLimit = 200;
+
+    /// <summary>
+    /// Score how well query matches candidate, or null when the query's characters do not all
+    /// appear in order. Prefixes, substrings, word starts and consecutive runs score higher.
+    /// </summary>
+    public static double? Score(string query, string? candidate)
+    {
+        if (string.IsNullOrEmpty(query))
+            return 0;
+        if (string.IsNullOrEmpty(candidate))
+            return null;
+
+        var q = query.ToLowerInvariant();
+        var c = candidate.ToLowerInvariant();
+
+        var score = 0.0;
+        var last = -1;
+        foreach (var ch in q)
+        {
+            var at = c.IndexOf(ch, last + 1);
+            if (at < 0)
+                return null;
+
+            score += 1;
+            if (at == 0 || WordBreaks.Contains(c[at - 1]))
+                score += 2;
+            if (at == last + 1 && last >= 0)
+                score += 3;
+            else if (last >= 0)
+                score -= Math.Min(at - last - 1, 10) * 0.1;
+            last = at;
+        }
+
+        if (c.StartsWith(q))
+            score += 10;
+        else if (c.Contains(q))
+            score += 5;
+
+        // Prefer shorter candidates when everything else is equal
+        return score - c.Length * 0.01;
+    }
+
+    /// <summary>
+    /// ILIKE pattern that matches exactly the candidates Score accepts (the query's characters in
+    /// order, anything in between), so the database can filter before anything is ranked.
+    /// </summary>
+    public static string SubsequencePattern(string query)
+    {
+        var pattern = new StringBuilder("%");
+        foreach (var ch in query)
+            pattern.Append(EscapeLike(ch.ToString())).Append('%');
+        return pattern.ToString();
+    }
+
+    /// <summary>ILIKE pattern for candidates that start with the query</summary>
+    public static string PrefixPattern(string query) => EscapeLike(query) + "%";
+
+    private static string EscapeLike(string text) =>
+        text.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_");
+
+    /// <summary>Best score across weighted fields, or null when no field matches</summary>
+    public static double? ScoreFields(string query, params (string? Value, double Weight)[] fields)
+    {
+        double? best = null;
+        foreach (var (value, weight) in fields)
+        {
+            var score = Score(query, value);
+            if (score.HasValue && (best == null || score.Value * weight > best))
+                best = score.Value * weight;
+        }
+        return best;
+    }
+}
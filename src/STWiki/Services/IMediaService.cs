@@ -7,6 +7,7 @@ public interface IMediaService
     Task<MediaUploadResult> UploadFileAsync(IFormFile file, string? filename, string? description, string? altText, string userId, CancellationToken cancellationToken = default);
     Task<MediaFile?> GetMediaFileAsync(Guid id, CancellationToken cancellationToken = default);
     Task<MediaFile?> GetMediaFileByNameAsync(string fileName, CancellationToken cancellationToken = default);
+    Task<Dictionary<string, MediaFile>> GetMediaFilesByNamesAsync(IEnumerable<string> fileNames, CancellationToken cancellationToken = default);
     Task<List<MediaFile>> GetUserMediaAsync(string userId, int page = 1, int pageSize = 20, CancellationToken cancellationToken = default);
     Task<List<MediaFile>> SearchMediaAsync(string query, int page = 1, int pageSize = 20, CancellationToken cancellationToken = default);
     Task<bool> DeleteMediaAsync(Guid id, string userId, CancellationToken cancellationToken = default);
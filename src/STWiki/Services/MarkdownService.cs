@@ -1,4 +1,9 @@
+using System.Text;
+using System.Text.RegularExpressions;
 using Markdig;
+using Markdig.Renderers.Html;
+using Markdig.Syntax;
+using Markdig.Syntax.Inlines;
 using ReverseMarkdown;
 using STWiki.Data.Entities;
 
@@ -43,6 +48,76 @@ public class MarkdownService
         return html;
     }
 
+    /// <summary>
+    /// Headings of a page body with the anchor ids the rendered page gives them.
+    /// Markdown ids come from the AutoIdentifiers extension; HTML bodies keep their own id attributes.
+    /// </summary>
+    public List<PageHeading> ExtractHeadings(string body, string format = "markdown")
+    {
+        var headings = new List<PageHeading>();
+        if (string.IsNullOrEmpty(body))
+            return headings;
+
+        if (format == "html")
+        {
+            foreach (Match match in HtmlHeadingRegex.Matches(body))
+            {
+                var text = System.Net.WebUtility.HtmlDecode(Regex.Replace(match.Groups[3].Value, "<[^>]+>", ""));
+                headings.Add(new PageHeading
+                {
+                    Id = match.Groups[2].Value,
+                    Text = text.Trim(),
+                    Level = int.Parse(match.Groups[1].Value)
+                });
+            }
+            return headings;
+        }
+
+        var document = Markdown.Parse(body, _pipeline);
+        foreach (var heading in document.Descendants<HeadingBlock>())
+        {
+            var id = heading.GetAttributes().Id;
+            if (string.IsNullOrEmpty(id))
+                continue;
+
+            headings.Add(new PageHeading
+            {
+                Id = id,
+                Text = GetPlainText(heading.Inline),
+                Level = heading.Level
+            });
+        }
+        return headings;
+    }
+
+    private static readonly Regex HtmlHeadingRegex = new(
+        @"<h([1-6])\b[^>]*\bid\s*=\s*""([^""]+)""[^>]*>(.*?)</h\1>",
+        RegexOptions.IgnoreCase | RegexOptions.Singleline | RegexOptions.Compiled);
+
+    private static string GetPlainText(ContainerInline? inline)
+    {
+        if (inline == null)
+            return string.Empty;
+
+        var text = new StringBuilder();
+        foreach (var child in inline.Descendants())
+        {
+            switch (child)
+            {
+                case LiteralInline literal:
+                    text.Append(literal.Content);
+                    break;
+                case CodeInline code:
+                    text.Append(code.Content);
+                    break;
+                case LineBreakInline:
+                    text.Append(' ');
+                    break;
+            }
+        }
+        return text.ToString().Trim();
+    }
+
     public string ConvertHtmlToMarkdown(string html)
     {
         if (string.IsNullOrEmpty(html))
@@ -74,4 +149,11 @@ public class MarkdownService
 
         return ConvertHtmlToMarkdown(processedHtml);
     }
-}
\ No newline at end of file
+}
+
+public class PageHeading
+{
+    public string Id { get; set; } = "";
+    public string Text { get; set; } = "";
+    public int Level { get; set; }
+}
@@ -168,6 +168,22 @@ public class MediaService : IMediaService
             .FirstOrDefaultAsync(m => m.OriginalFileName == fileName && !m.IsDeleted, cancellationToken);
     }
 
+    public async Task<Dictionary<string, MediaFile>> GetMediaFilesByNamesAsync(IEnumerable<string> fileNames, CancellationToken cancellationToken = default)
+    {
+        var names = fileNames.Distinct().ToList();
+        if (!names.Any()) return new Dictionary<string, MediaFile>();
+
+        var mediaFiles = await _context.MediaFiles
+            .Where(m => names.Contains(m.OriginalFileName) && !m.IsDeleted)
+            .OrderByDescending(m => m.UploadedAt)
+            .ToListAsync(cancellationToken);
+
+        // Exact names only; when a name was uploaded more than once the newest upload wins
+        return mediaFiles
+            .GroupBy(m => m.OriginalFileName)
+            .ToDictionary(g => g.Key, g => g.First());
+    }
+
     public async Task<List<MediaFile>> GetUserMediaAsync(string userId, int page = 1, int pageSize = 20, CancellationToken cancellationToken = default)
     {
         var user = await _context.Users.FirstOrDefaultAsync(u => u.UserId == userId, cancellationToken);
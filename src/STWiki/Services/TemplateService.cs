@@ -11,14 +11,78 @@ public class TemplateService
     private readonly AppDbContext _context;
     private readonly ILogger<TemplateService> _logger;
     private readonly IMediaService _mediaService;
+    private readonly MarkdownService _markdownService;
 
-    public TemplateService(AppDbContext context, ILogger<TemplateService> logger, IMediaService mediaService)
+    public TemplateService(AppDbContext context, ILogger<TemplateService> logger, IMediaService mediaService, MarkdownService markdownService)
     {
         _context = context;
         _logger = logger;
         _mediaService = mediaService;
+        _markdownService = markdownService;
     }
 
+    /// <summary>
+    /// Templates ProcessTemplatesAsync renders. Editors load this registry for icons, descriptions,
+    /// previews and parameter hints. Parameters are listed in the order the macro patterns accept them.
+    /// </summary>
+    public static IReadOnlyList<TemplateDefinition> Templates { get; } = new List<TemplateDefinition>
+    {
+        new()
+        {
+            Name = "recent-pages", Icon = "clock-history", Description = "Shows recently updated pages",
+            Parameters = { LimitParameter(10) }
+        },
+        new()
+        {
+            Name = "child-pages", Icon = "folder", Description = "Lists sub-pages of current page",
+            Parameters = { LimitParameter(20) }
+        },
+        new()
+        {
+            Name = "popular-pages", Icon = "star", Description = "Displays most viewed pages",
+            Parameters =
+            {
+                LimitParameter(10),
+                new() { Name = "timeframe", Type = "enum", Default = "month", Description = "Period to count page views over", AllowedValues = { "day", "week", "month", "year" } }
+            }
+        },
+        new()
+        {
+            Name = "top-contributors", Icon = "people", Description = "Shows top wiki contributors",
+            Parameters = { LimitParameter(10) }
+        },
+        new() { Name = "wiki-statistics", Icon = "bar-chart", Description = "Displays wiki metrics and statistics" },
+        new()
+        {
+            Name = "recently-edited", Icon = "pencil-square", Description = "Shows recent page changes",
+            Parameters =
+            {
+                LimitParameter(8),
+                new() { Name = "show-users", Type = "boolean", Default = "true", Description = "Show who made each edit", AllowedValues = { "true", "false" } }
+            }
+        }
+    };
+
+    private static TemplateParameter LimitParameter(int defaultValue) => new()
+    {
+        Name = "limit", Type = "integer", Default = defaultValue.ToString(), Description = "Number of items to show", Min = 1
+    };
+
+    /// <summary>
+    /// Render a single {{template}} macro as it would appear on currentPage.
+    /// Returns null when the macro is not a template this service understands.
+    /// </summary>
+    public async Task<string?> RenderTemplateAsync(string macro, Page? currentPage = null)
+    {
+        if (!TemplateMacroRegex.IsMatch(macro))
+            return null;
+
+        var html = await ProcessTemplatesAsync(macro, currentPage);
+        return html == macro ? null : html;
+    }
+
+    private static readonly Regex TemplateMacroRegex = new(@"^\{\{[^{}]+\}\}$", RegexOptions.Compiled);
+
     public async Task<string> ProcessTemplatesAsync(string content, Page? currentPage = null)
     {
         if (string.IsNullOrEmpty(content))
@@ -81,11 +145,13 @@ public class TemplateService
         });
 
         // Process [[page-slug]] wiki-style links
+        // [[#anchor]] links target this content, whose headings already carry their rendered ids
+        var localHeadings = _markdownService.ExtractHeadings(content, "html");
         var wikiLinkPattern = @"\[\[([^\]]+)\]\]";
         content = await RegexExtensions.ReplaceAsync(content, wikiLinkPattern, async (match) =>
         {
             var pageSlug = match.Groups[1].Value.Trim();
-            return await RenderWikiLinkAsync(pageSlug);
+            return await RenderWikiLinkAsync(pageSlug, localHeadings);
         });
 
         return content;
@@ -560,7 +626,7 @@ public class TemplateService
         }
     }
 
-    private async Task<string> RenderWikiLinkAsync(string pageSlug)
+    private async Task<string> RenderWikiLinkAsync(string pageSlug, List<PageHeading> localHeadings)
     {
         try
         {
@@ -578,23 +644,44 @@ public class TemplateService
 
             // Handle custom display text: [[page-slug|Display Text]]
             var displayText = pageSlug;
-            if (pageSlug.Contains('|'))
+            var hasDisplayText = pageSlug.Contains('|');
+            if (hasDisplayText)
             {
                 var parts = pageSlug.Split('|', 2);
                 pageSlug = parts[0].Trim();
                 displayText = parts[1].Trim();
             }
 
+            // Handle section links: [[page-slug#anchor]], or [[#anchor]] within the current page
+            string? anchor = null;
+            var hashIndex = pageSlug.IndexOf('#');
+            if (hashIndex >= 0)
+            {
+                anchor = pageSlug.Substring(hashIndex + 1).Trim();
+                pageSlug = pageSlug.Substring(0, hashIndex).Trim();
+            }
+
+            if (anchor != null && pageSlug.Length == 0)
+            {
+                return RenderSectionLink("", null, anchor, hasDisplayText ? displayText : null, localHeadings);
+            }
+
             // Look up the page to get its title and verify it exists
             var page = await _context.Pages
                 .Where(p => p.Slug.ToLower() == pageSlug.ToLower())
-                .Select(p => new { p.Slug, p.Title })
+                .Select(p => new { p.Slug, p.Title, p.Body, p.BodyFormat })
                 .FirstOrDefaultAsync();
 
             if (page != null)
             {
+                if (anchor != null)
+                {
+                    var headings = _markdownService.ExtractHeadings(page.Body, page.BodyFormat);
+                    return RenderSectionLink(page.Slug, page.Title, anchor, hasDisplayText ? displayText : null, headings);
+                }
+
                 // Page exists - create link with page title (unless custom display text is provided)
-                var linkText = pageSlug.Contains('|') ? displayText : page.Title;
+                var linkText = hasDisplayText ? displayText : page.Title;
                 var encodedText = System.Web.HttpUtility.HtmlEncode(linkText);
                 var encodedSlug = System.Web.HttpUtility.UrlEncode(page.Slug);
                 
@@ -603,7 +690,7 @@ public class TemplateService
             else
             {
                 // Page doesn't exist - create a red link (broken link) with option to create
-                var linkText = pageSlug.Contains('|') ? displayText : pageSlug.Replace("-", " ").Replace("_", " ");
+                var linkText = hasDisplayText ? displayText : pageSlug.Replace("-", " ").Replace("_", " ");
                 var encodedText = System.Web.HttpUtility.HtmlEncode(linkText);
                 var encodedSlug = System.Web.HttpUtility.UrlEncode(pageSlug);
                 
@@ -617,6 +704,28 @@ public class TemplateService
         }
     }
 
+    private static string RenderSectionLink(string pageSlug, string? pageTitle, string anchor, string? displayText, List<PageHeading> headings)
+    {
+        // Anchors match the rendered heading ids exactly; [[page#Heading Text]] is not rewritten
+        var heading = headings.FirstOrDefault(h => h.Id == anchor);
+        var href = (pageSlug.Length > 0 ? $"/{System.Web.HttpUtility.UrlEncode(pageSlug)}" : "") + $"#{Uri.EscapeDataString(anchor)}";
+        var place = pageTitle ?? "this page";
+
+        if (heading != null)
+        {
+            var linkText = displayText ?? (pageTitle != null ? $"{pageTitle} § {heading.Text}" : heading.Text);
+            var title = $"{place} § {heading.Text}";
+            return $@"<a href=""{href}"" class=""wiki-link"" title=""{System.Web.HttpUtility.HtmlAttributeEncode(title)}"">{System.Web.HttpUtility.HtmlEncode(linkText)}</a>";
+        }
+        else
+        {
+            // Section doesn't exist (any more) - the page link still works, so keep it clickable
+            var linkText = displayText ?? (pageTitle != null ? $"{pageTitle} § {anchor}" : anchor);
+            var title = $"Section '{anchor}' not found on {place}";
+            return $@"<a href=""{href}"" class=""wiki-link wiki-link-section-missing"" title=""{System.Web.HttpUtility.HtmlAttributeEncode(title)}"">{System.Web.HttpUtility.HtmlEncode(linkText)}</a>";
+        }
+    }
+
     private async Task<string> RenderMediaLinkAsync(string mediaTemplate)
     {
         try
@@ -935,3 +1044,21 @@ public class MediaDisplayOptions
         return string.Join(" ", classes);
     }
 }
+
+public class TemplateDefinition
+{
+    public string Name { get; set; } = "";
+    public string Icon { get; set; } = "puzzle";
+    public string Description { get; set; } = "";
+    public List<TemplateParameter> Parameters { get; } = new();
+}
+
+public class TemplateParameter
+{
+    public string Name { get; set; } = "";
+    public string Type { get; set; } = "string"; // string, integer, boolean or enum
+    public string? Default { get; set; }
+    public string Description { get; set; } = "";
+    public List<string> AllowedValues { get; } = new();
+    public int? Min { get; set; }
+}
@@ -4,34 +4,125 @@
 (function() {
     console.log('🔧 Blazor diagnostics: Starting connection monitoring...');
     
+    // Circuit lifecycle, as reported by the reconnection handler:
+    //   connecting   - page loaded, the circuit has not talked to us yet
+    //   connected    - circuit up
+    //   reconnecting - connection lost, Blazor is retrying
+    //   failed       - Blazor gave up retrying; a manual retry may still work
+    //   rejected     - the server no longer knows the circuit; only a reload helps
+    // Editors subscribe through window.blazorConnection, or listen for stwiki:connection on
+    // document (detail { state, previous, connected }).
+    const RECONNECT_CLASSES = {
+        'components-reconnect-show': 'reconnecting',
+        'components-reconnect-hide': 'connected',
+        'components-reconnect-failed': 'failed',
+        'components-reconnect-rejected': 'rejected'
+    };
+    let state = 'connecting';
+    let retrying = false;
+    const listeners = new Set();
+    
+    function setState(next) {
+        if (state === next) return;
+        const previous = state;
+        state = next;
+        console.log(`🔗 Blazor circuit: ${previous} → ${next}`);
+        updateConnectionUi();
+        const detail = { state, previous, connected: state === 'connected' };
+        listeners.forEach(fn => {
+            try { fn(detail); } catch (e) { console.error('Connection listener failed:', e); }
+        });
+        document.dispatchEvent(new CustomEvent('stwiki:connection', { detail }));
+    }
+    
+    // Wrap the reconnection handler's callbacks: they fire as soon as the connection drops or
+    // comes back, before the reconnect display is updated
+    function hookReconnectionHandler() {
+        const handler = Blazor.defaultReconnectionHandler;
+        if (!handler || handler._stwikiHooked) return;
+        handler._stwikiHooked = true;
+        
+        const onDown = handler.onConnectionDown;
+        const onUp = handler.onConnectionUp;
+        handler.onConnectionDown = function(...args) {
+            setState('reconnecting');
+            return onDown?.apply(this, args);
+        };
+        handler.onConnectionUp = function(...args) {
+            setState('connected');
+            return onUp?.apply(this, args);
+        };
+    }
+    
+    // With a #components-reconnect-modal element on the page Blazor does not show its own
+    // blocking overlay, it only toggles classes on that element. Those classes are the one
+    // public signal for "gave up" (failed) and "circuit gone" (rejected).
+    function watchReconnectDisplay() {
+        const modal = document.getElementById('components-reconnect-modal');
+        if (!modal) return;
+        new MutationObserver(() => {
+            const cls = Object.keys(RECONNECT_CLASSES).find(c => modal.classList.contains(c));
+            // a manual retry reports its own outcome
+            if (cls && !retrying) setState(RECONNECT_CLASSES[cls]);
+        }).observe(modal, { attributes: true, attributeFilter: ['class'] });
+    }
+    
+    async function retry() {
+        if (retrying || state === 'connected' || typeof Blazor === 'undefined' || !Blazor.reconnect) return false;
+        retrying = true;
+        setState('reconnecting');
+        try {
+            // false means the server rejected the circuit, it will not come back
+            const ok = await Blazor.reconnect();
+            setState(ok ? 'connected' : 'rejected');
+            return ok;
+        } catch (e) {
+            console.error('Manual reconnect failed:', e);
+            setState('failed');
+            return false;
+        } finally {
+            retrying = false;
+        }
+    }
+    
+    // Commit and draft buttons go through the circuit, so they are disabled while it is down.
+    // Only buttons disabled here are enabled again; Blazor owns their attribute otherwise.
+    function updateConnectionUi() {
+        const connected = state === 'connected' || state === 'connecting';
+        document.querySelectorAll('[data-action="commit-changes"], [data-action="save-draft"]').forEach(button => {
+            if (!connected && !button.disabled) {
+                button.disabled = true;
+                button.dataset.offlineDisabled = 'true';
+            } else if (connected && button.dataset.offlineDisabled) {
+                button.disabled = false;
+                delete button.dataset.offlineDisabled;
+            }
+        });
+        
+        const modal = document.getElementById('components-reconnect-modal');
+        if (modal) modal.dataset.state = state;
+    }
+    
+    document.addEventListener('click', e => {
+        if (e.target.closest('[data-action="retry-connection"]')) retry();
+        else if (e.target.closest('[data-action="reload-page"]')) location.reload();
+    });
+    
     function logBlazorState() {
-        const state = {
+        const info = {
             blazor: typeof Blazor !== 'undefined' ? 'loaded' : 'not loaded',
             signalR: typeof signalR !== 'undefined' ? 'loaded' : 'not loaded',
             connection: null,
-            circuit: null,
-            connected: false
+            circuit: state,
+            connected: state === 'connected'
         };
         
-        if (typeof Blazor !== 'undefined') {
-            try {
-                // Better detection: Blazor is connected if it exists and has handlers
-                // The presence of Blazor object itself usually means it's functional
-                state.circuit = 'available';
-                state.connected = true;
-                
-                // Also check if we can access the internal circuit (optional)
-                if (Blazor.defaultReconnectionHandler) {
-                    state.connection = 'with reconnection handler';
-                }
-            } catch (e) {
-                state.circuit = 'error: ' + e.message;
-                state.connected = false;
-            }
+        if (typeof Blazor !== 'undefined' && Blazor.defaultReconnectionHandler) {
+            info.connection = 'with reconnection handler';
         }
         
-        console.log('🔧 Blazor State:', state);
-        return state.connected;
+        console.log('🔧 Blazor State:', info);
+        return info.connected;
     }
     
     // Log initial state
@@ -39,10 +130,12 @@
         console.log('🔧 DOM loaded, checking Blazor state...');
         logBlazorState();
     });
+    watchReconnectDisplay();
     
     // Monitor Blazor connection events - DON'T call Blazor.start() as it auto-starts
     if (typeof Blazor !== 'undefined') {
         console.log('✅ Blazor already available');
+        hookReconnectionHandler();
         logBlazorState();
     } else {
         // Blazor not ready yet, wait for it
@@ -52,21 +145,36 @@
             if (typeof Blazor !== 'undefined') {
                 console.log(`✅ Blazor available after ${attempts} attempts`);
                 clearInterval(waitForBlazor);
+                hookReconnectionHandler();
                 logBlazorState();
             } else if (attempts > 50) { // 5 seconds max
                 console.error('❌ Blazor failed to load after 5 seconds');
                 clearInterval(waitForBlazor);
+                setState('failed');
                 logBlazorState();
             }
         }, 100);
     }
     
-    // Add a function for components to check connection
+    // Components call this first thing after rendering. Blazor starts itself, so the circuit
+    // calling into the page is the first sign that it is up.
     window.checkBlazorConnection = function() {
+        if (state === 'connecting') setState('connected');
         const isConnected = logBlazorState();
         console.log('🔗 Connection check requested, result:', isConnected);
         return isConnected;
     };
     
-    window.blazorDiagnostics = { logBlazorState, checkBlazorConnection };
+    window.blazorConnection = {
+        get state() { return state; },
+        get connected() { return state === 'connected'; },
+        /** fn({ state, previous, connected }) on every change; returns an unsubscribe function */
+        subscribe(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        },
+        retry
+    };
+    
+    window.blazorDiagnostics = { logBlazorState, checkBlazorConnection, isConnected: () => state === 'connected' };
 })();
\ No newline at end of file
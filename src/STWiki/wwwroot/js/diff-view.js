@@ -0,0 +1,215 @@
+// diff-view.js  —  ES module
+// Review a draft against the last committed revision inside the editor. Changes are word-level
+// (text-diff.js), shown inline or side by side, and each one can be kept or reverted to the
+// committed text before the result goes back into the editor.
+
+import { diffBlocks, applyHunks } from './text-diff.js';
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+};
+
+export class DiffView {
+  /**
+   * @param {HTMLElement} host - renders into it, shown while the review is open
+   * @param {Object} opts - { before, after, onApply(text), onClose(), mode: 'inline'|'split',
+   *   context: unchanged lines kept around each change, storageKey for the remembered mode }
+   */
+  constructor(host, opts = {}) {
+    this.host = host;
+    this.opts = opts;
+    this.context = opts.context ?? 2;
+    this.storageKey = opts.storageKey ?? 'stwiki.diff.mode';
+    this.diff = diffBlocks(opts.before ?? '', opts.after ?? '');
+    this.rejected = new Set(); // hunk indexes reverted to the committed text
+    let saved = null;
+    try { saved = localStorage.getItem(this.storageKey); } catch {}
+    this.mode = opts.mode || (saved === 'split' ? 'split' : 'inline');
+    this.ac = new AbortController();
+    host.addEventListener('click', this.onClick, { signal: this.ac.signal });
+    this.render();
+  }
+
+  get changes() { return this.diff.hunks.length; }
+
+  /** The document with every hunk as currently decided */
+  get result() { return applyHunks(this.diff.blocks, h => !this.rejected.has(h.index)); }
+
+  setMode(mode) {
+    this.mode = mode === 'split' ? 'split' : 'inline';
+    try { localStorage.setItem(this.storageKey, this.mode); } catch {}
+    this.render();
+  }
+
+  /** Keep (true) or revert (false) one hunk */
+  decide(index, keep) {
+    if (keep) this.rejected.delete(index);
+    else this.rejected.add(index);
+    this.render();
+  }
+
+  decideAll(keep) {
+    this.rejected = keep ? new Set() : new Set(this.diff.hunks.map(h => h.index));
+    this.render();
+  }
+
+  apply() {
+    const text = this.result;
+    this.close();
+    this.opts.onApply?.(text);
+  }
+
+  close() {
+    this.ac.abort();
+    this.host.replaceChildren();
+    this.host.classList.add('d-none');
+    this.opts.onClose?.();
+  }
+
+  onClick = (e) => {
+    const button = e.target.closest('button[data-diff-action]');
+    if (!button || !this.host.contains(button)) return;
+    const { diffAction, hunk } = button.dataset;
+    switch (diffAction) {
+      case 'keep': this.decide(Number(hunk), true); break;
+      case 'revert': this.decide(Number(hunk), false); break;
+      case 'keep-all': this.decideAll(true); break;
+      case 'revert-all': this.decideAll(false); break;
+      case 'mode': this.setMode(button.dataset.mode); break;
+      case 'apply': this.apply(); break;
+      case 'cancel': this.close(); break;
+    }
+  };
+
+  // --- Rendering ---
+  render() {
+    const focused = this.host.contains(document.activeElement) ? this.keyOf(document.activeElement) : null;
+    const { added, deleted } = this.diff;
+    const kept = this.changes - this.rejected.size;
+
+    const header = el('div', 'diff-view-header d-flex flex-wrap align-items-center gap-2');
+    header.appendChild(el('strong', 'me-1', 'Draft changes since the last commit'));
+    header.appendChild(el('span', 'small text-muted me-auto',
+      `${this.changes} ${this.changes === 1 ? 'change' : 'changes'} · +${added} −${deleted} words · keeping ${kept}`));
+
+    const modes = el('div', 'btn-group btn-group-sm');
+    modes.setAttribute('role', 'group');
+    modes.setAttribute('aria-label', 'Diff layout');
+    for (const [mode, label] of [['inline', 'Inline'], ['split', 'Side by side']]) {
+      const b = this.button(label, 'btn-outline-secondary', 'mode');
+      b.dataset.mode = mode;
+      b.classList.toggle('active', this.mode === mode);
+      b.setAttribute('aria-pressed', String(this.mode === mode));
+      modes.appendChild(b);
+    }
+    header.appendChild(modes);
+    header.appendChild(this.button('Keep all', 'btn-outline-success', 'keep-all'));
+    header.appendChild(this.button('Revert all', 'btn-outline-danger', 'revert-all'));
+    header.appendChild(this.button('Continue editing', 'btn-primary', 'apply'));
+    header.appendChild(this.button('Cancel', 'btn-outline-secondary', 'cancel'));
+
+    const body = el('div', `diff-view-body diff-${this.mode}`);
+    const { blocks } = this.diff;
+    blocks.forEach((block, i) => {
+      if (block.type === 'same') {
+        body.appendChild(this.sameBlock(block.text, i === 0, i === blocks.length - 1));
+      } else {
+        body.appendChild(this.mode === 'split' ? this.splitChange(block) : this.inlineChange(block));
+      }
+    });
+    if (!blocks.some(b => b.type === 'change')) body.appendChild(el('div', 'diff-gap', 'The draft is the same as the committed version.'));
+
+    this.host.className = 'diff-view card mb-2';
+    this.host.replaceChildren(header, body);
+    if (focused) this.host.querySelector(`button[data-key="${focused}"]`)?.focus();
+  }
+
+  button(label, cls, action, hunk) {
+    const b = el('button', `btn btn-sm ${cls}`, label);
+    b.type = 'button';
+    b.dataset.diffAction = action;
+    b.dataset.key = hunk == null ? action : `${action}-${hunk}`;
+    if (hunk != null) b.dataset.hunk = hunk;
+    return b;
+  }
+
+  keyOf(node) { return node?.closest?.('button[data-key]')?.dataset.key ?? null; }
+
+  /** Unchanged text, trimmed to a few lines of context next to the changes */
+  sameBlock(text, first, last) {
+    const lines = text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    const head = first ? 0 : this.context, tail = last ? 0 : this.context;
+    const make = (t) => {
+      if (this.mode !== 'split') return el('span', 'diff-same', t);
+      const row = el('div', 'diff-row');
+      row.append(el('div', 'diff-cell diff-same', t), el('div', 'diff-cell diff-same', t));
+      return row;
+    };
+    const wrap = el('div', 'diff-block');
+    if (lines.length <= head + tail + 1) {
+      wrap.appendChild(make(text));
+      return wrap;
+    }
+    if (head) wrap.appendChild(make(lines.slice(0, head).join('')));
+    wrap.appendChild(el('div', 'diff-gap', `… ${lines.length - head - tail} unchanged lines …`));
+    if (tail) wrap.appendChild(make(lines.slice(lines.length - tail).join('')));
+    return wrap;
+  }
+
+  hunkActions(hunk) {
+    const rejected = this.rejected.has(hunk.index);
+    const actions = el('span', 'diff-hunk-actions');
+    const keep = this.button('✓', 'btn-outline-success', 'keep', hunk.index);
+    keep.title = 'Keep this change';
+    keep.setAttribute('aria-label', `Keep change ${hunk.index + 1}`);
+    keep.setAttribute('aria-pressed', String(!rejected));
+    const revert = this.button('✕', 'btn-outline-danger', 'revert', hunk.index);
+    revert.title = 'Use the committed text';
+    revert.setAttribute('aria-label', `Revert change ${hunk.index + 1}`);
+    revert.setAttribute('aria-pressed', String(rejected));
+    actions.append(keep, revert);
+    return actions;
+  }
+
+  hunkSpan(hunk, parts) {
+    const span = el('span', 'diff-hunk');
+    span.dataset.hunk = hunk.index;
+    span.classList.toggle('rejected', this.rejected.has(hunk.index));
+    if (parts.includes('del') && hunk.del) span.appendChild(el('del', null, hunk.del));
+    if (parts.includes('add') && hunk.add) span.appendChild(el('ins', null, hunk.add));
+    return span;
+  }
+
+  inlineChange(block) {
+    const wrap = el('div', 'diff-block diff-change');
+    for (const seg of block.segments) {
+      if (seg.type === 'same') { wrap.appendChild(el('span', 'diff-same', seg.text)); continue; }
+      const span = this.hunkSpan(seg.hunk, ['del', 'add']);
+      span.appendChild(this.hunkActions(seg.hunk));
+      wrap.appendChild(span);
+    }
+    return wrap;
+  }
+
+  splitChange(block) {
+    const row = el('div', 'diff-row diff-change');
+    const before = el('div', 'diff-cell diff-before');
+    const after = el('div', 'diff-cell diff-after');
+    for (const seg of block.segments) {
+      if (seg.type === 'same') {
+        before.appendChild(el('span', 'diff-same', seg.text));
+        after.appendChild(el('span', 'diff-same', seg.text));
+        continue;
+      }
+      before.appendChild(this.hunkSpan(seg.hunk, ['del']));
+      const span = this.hunkSpan(seg.hunk, ['add']);
+      span.appendChild(this.hunkActions(seg.hunk));
+      after.appendChild(span);
+    }
+    row.append(before, after);
+    return row;
+  }
+}
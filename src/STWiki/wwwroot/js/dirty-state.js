@@ -0,0 +1,94 @@
+// dirty-state.js  —  ES module
+// Where the editor's text stands against the server, tracked from editor input and from the
+// autosave/commit notifications rather than by polling. Versions are compared by content hash:
+//   clean     - same as the committed page, nothing committed in this session
+//   unsaved   - differs from both the last autosaved draft and the last commit
+//   autosaved - the server has it as this user's draft
+//   committed - committed in this session
+// Changes are announced to subscribers and as stwiki:dirty-state on the editor container
+// (bubbles; detail { state, previous, containerId }).
+
+/**
+ * 32-bit FNV-1a over UTF-16 code units, as hex. EditorSimple computes the same hash for the
+ * content it saved, so an autosave that raced with typing does not mark newer text as saved.
+ */
+export function contentHash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16);
+}
+
+export class DirtyStatePlugin {
+  /** @param {Object} opts - { committed: the committed text, when the editor opened a draft instead } */
+  constructor(editor, opts = {}) {
+    this.editor = editor;
+    this.listeners = new Set();
+    const loaded = contentHash(editor.value);
+    this.hash = loaded;
+    this.savedHash = loaded; // what was loaded is on the server, as the page or as a draft
+    this.committedHash = opts.committed != null ? contentHash(opts.committed.replace(/\r\n?/g, '\n')) : loaded;
+    this.committedHere = false;
+    this.state = this.compute();
+    editor.dirty = this;
+  }
+
+  get unsaved() { return this.state === 'unsaved'; }
+
+  // let the page show where a freshly opened editor stands (a loaded draft is 'autosaved')
+  init() { this.emit(null); }
+  onInput(e, v) { this.track(v); }
+  onReset(v) { this.track(v); }
+
+  /** The server saved a draft; `hash` of what it saved, the current text when omitted */
+  autosaved(hash = this.hash) {
+    this.savedHash = hash;
+    this.update();
+  }
+
+  committed(hash = this.hash) {
+    this.committedHash = this.savedHash = hash;
+    this.committedHere = true;
+    this.update();
+  }
+
+  /** fn({ state, previous }) on every change; returns an unsubscribe function */
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  track(text) {
+    this.hash = contentHash(text);
+    this.update();
+  }
+
+  compute() {
+    if (this.hash === this.committedHash) return this.committedHere ? 'committed' : 'clean';
+    return this.hash === this.savedHash ? 'autosaved' : 'unsaved';
+  }
+
+  update() {
+    const state = this.compute();
+    if (state === this.state) return;
+    const previous = this.state;
+    this.state = state;
+    this.emit(previous);
+  }
+
+  emit(previous) {
+    const state = this.state;
+    for (const fn of this.listeners) fn({ state, previous });
+    this.editor.container.dispatchEvent(new CustomEvent('stwiki:dirty-state', {
+      bubbles: true,
+      detail: { state, previous, containerId: this.editor.container.id }
+    }));
+  }
+
+  destroy() {
+    this.listeners.clear();
+    if (this.editor.dirty === this) delete this.editor.dirty;
+  }
+}
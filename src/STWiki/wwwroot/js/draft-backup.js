@@ -0,0 +1,63 @@
+// draft-backup.js  —  ES module
+// Crash recovery for the editor: snapshots of content, selection and format kept in IndexedDB,
+// so closing the tab (or losing the network) no longer loses what the server never received.
+// A backup is keyed by page and base revision, the id of the revision the editing started from, so
+// a copy made against an older version of the page is recognisable as such when it is offered back.
+
+import { createStore } from './idb-store.js';
+
+const DB_NAME = 'stwiki-drafts';
+const STORE = 'backups';
+
+const withStore = createStore(DB_NAME, STORE, db => {
+  db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('pageId', 'pageId');
+});
+
+/**
+ * Backups of one page. Records are { id, pageId, baseRevision, content, selectionStart,
+ * selectionEnd, format, savedAt }; savedAt is this device's clock, for display only. Storage
+ * errors are logged, never thrown: a backup that cannot be written must not get in the way of
+ * editing.
+ */
+export class DraftBackup {
+  /** @param {Object} opts - { pageId, baseRevision: revision id, '' for none } */
+  constructor({ pageId, baseRevision = '' }) {
+    this.pageId = pageId;
+    this.baseRevision = baseRevision;
+  }
+
+  get id() { return `${this.pageId}|${this.baseRevision}`; }
+
+  /** The most recent backup of this page, whatever revision it was based on, or null */
+  async latest() {
+    try {
+      const all = await withStore('readonly', s => s.index('pageId').getAll(this.pageId));
+      return all.sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+    } catch (e) {
+      console.warn('DraftBackup: could not read backups:', e);
+      return null;
+    }
+  }
+
+  /** @param {Object} snapshot - { content, selectionStart, selectionEnd, format } */
+  async save(snapshot) {
+    const record = { ...snapshot, id: this.id, pageId: this.pageId, baseRevision: this.baseRevision, savedAt: Date.now() };
+    try {
+      await withStore('readwrite', s => s.put(record));
+      return record;
+    } catch (e) {
+      console.warn('DraftBackup: could not save backup:', e);
+      return null;
+    }
+  }
+
+  /** Drop every backup of this page */
+  async clear() {
+    try {
+      const all = await withStore('readonly', s => s.index('pageId').getAllKeys(this.pageId));
+      if (all.length) await withStore('readwrite', s => { for (const id of all) s.delete(id); });
+    } catch (e) {
+      console.warn('DraftBackup: could not clear backups:', e);
+    }
+  }
+}
@@ -3,9 +3,9 @@
 
 console.log('🚀 Script block started - setting up draft management...');
 
-// Global state for tracking unsaved changes
-let hasUnsavedChanges = false;
-let originalContent = '';
+// Where the editor text stands against the server (clean, unsaved, autosaved or committed), as
+// announced by the editor's DirtyStatePlugin with stwiki:dirty-state
+let editState = 'clean';
 let currentPageId = null;
 
 // Initialize draft management with the page ID
@@ -30,12 +30,14 @@ window.initializeDraftManagement = function(pageId) {
             return;
         }
         
+        const editor = window.STWiki?.editors.getActive();
+        const componentRef = editor?.componentRef;
+        
         // Step 1: Coordinate with Blazor editor to pause autosave and collaboration
         try {
-            const editorContainer = document.querySelector('.editor-container');
-            if (editorContainer && editorContainer._blazorComponentRef) {
+            if (componentRef) {
                 console.log('🚫 Calling BeginDiscardDraft to pause automatic operations...');
-                await editorContainer._blazorComponentRef.invokeMethodAsync('BeginDiscardDraft');
+                await componentRef.invokeMethodAsync('BeginDiscardDraft');
                 console.log('✅ Automatic operations paused');
             }
         } catch (error) {
@@ -65,53 +67,23 @@ window.initializeDraftManagement = function(pageId) {
                 try {
                     console.log('Updating editor content with discarded draft result...');
                     
-                    // Method 1: Use the new wiki editor content setter if available
-                    const editorContainer = document.querySelector('.editor-container');
-                    if (editorContainer && window.setWikiEditorContent) {
-                        const containerId = editorContainer.id || 'editor-container';
-                        console.log('Using setWikiEditorContent for container:', containerId);
-                        window.setWikiEditorContent(containerId, data.content);
-                        console.log('✅ Updated editor content using setWikiEditorContent');
-                    }
-                    // Method 2: Fallback to enhanced editor if available
-                    else if (window.setEnhancedEditorContent) {
-                        // Find the correct enhanced editor textarea
-                        const editorTextarea = document.querySelector('textarea[id*="simple-editor-"]') || 
-                                             document.querySelector('textarea[id*="editor-"]') ||
-                                             document.querySelector('[data-role="editor"]');
-                        
-                        if (editorTextarea) {
-                            console.log('Using setEnhancedEditorContent for editor:', editorTextarea.id);
-                            window.setEnhancedEditorContent(editorTextarea.id, data.content);
-                            console.log('✅ Updated editor content using setEnhancedEditorContent');
-                        }
+                    // The committed text is the editor's new starting point; form-sync.js follows
+                    // the change into the form's Body field
+                    if (editor) {
+                        editor.reset(data.content);
+                    } else {
+                        const bodyTextarea = document.getElementById('body-textarea');
+                        if (bodyTextarea) bodyTextarea.value = data.content;
                     }
-                    
-                    // Always update the hidden textarea (for form submission)
-                    const bodyTextarea = document.getElementById('body-textarea');
-                    if (bodyTextarea) {
-                        bodyTextarea.value = data.content;
-                        console.log('✅ Updated hidden body textarea');
-                    }
-                    
-                    // Also sync the form field (ASP.NET Core model binding target)
-                    const bodyField = document.querySelector('textarea[name="Body"]');
-                    if (bodyField && bodyField !== bodyTextarea) {
-                        bodyField.value = data.content;
-                        console.log('✅ Updated form Body field');
-                    }
-                    
-                    console.log('✅ Updated all editor fields with reverted content');
                 } catch (error) {
                     console.error('Could not update editor content directly:', error);
                 }
                 
                 // Step 4: Signal completion to Blazor editor
                 try {
-                    const editorContainer = document.querySelector('.editor-container');
-                    if (editorContainer && editorContainer._blazorComponentRef) {
+                    if (componentRef) {
                         console.log('✅ Calling EndDiscardDraft to signal completion...');
-                        await editorContainer._blazorComponentRef.invokeMethodAsync('EndDiscardDraft');
+                        await componentRef.invokeMethodAsync('EndDiscardDraft');
                         console.log('✅ Draft discard coordination completed');
                     }
                 } catch (error) {
@@ -133,10 +105,9 @@ window.initializeDraftManagement = function(pageId) {
             
             // Even on error, signal completion to Blazor editor to restore normal operations
             try {
-                const editorContainer = document.querySelector('.editor-container');
-                if (editorContainer && editorContainer._blazorComponentRef) {
+                if (componentRef) {
                     console.log('❌ Error occurred - calling EndDiscardDraft to restore operations...');
-                    await editorContainer._blazorComponentRef.invokeMethodAsync('EndDiscardDraft');
+                    await componentRef.invokeMethodAsync('EndDiscardDraft');
                     console.log('✅ Normal operations restored after error');
                 }
             } catch (coordError) {
@@ -150,68 +121,37 @@ window.initializeDraftManagement = function(pageId) {
     console.log('✅ Full discardDraft function defined. Type:', typeof window.discardDraft);
 };
 
-// Set up change tracking for the editor
+// Follow the editor's dirty state; it comes from editor input and save/commit results
 function setupChangeTracking() {
     console.log('🎯 Setting up change tracking...');
     
-    // Get initial content from editor
-    setTimeout(() => {
-        const editorContainer = document.querySelector('.editor-container');
-        if (editorContainer && window.getWikiEditorContent) {
-            const containerId = editorContainer.id || 'editor-container';
-            originalContent = window.getWikiEditorContent(containerId) || '';
-            console.log('📝 Original content captured:', originalContent.length, 'characters');
-        }
-        
-        // Set up periodic change checking
-        setInterval(checkForChanges, 1000); // Check every second
-    }, 1000); // Wait for editor to be fully initialized
-}
-
-// Check if editor content has changed
-function checkForChanges() {
-    const editorContainer = document.querySelector('.editor-container');
-    if (!editorContainer || !window.getWikiEditorContent) return;
-    
-    const containerId = editorContainer.id || 'editor-container';
-    const currentContent = window.getWikiEditorContent(containerId) || '';
-    
-    const wasChanged = hasUnsavedChanges;
-    hasUnsavedChanges = currentContent !== originalContent;
+    document.addEventListener('stwiki:dirty-state', function(e) {
+        editState = e.detail.state;
+        renderEditStatus();
+    });
     
-    // Log when state changes
-    if (hasUnsavedChanges !== wasChanged) {
-        console.log('🔄 Change state updated:', hasUnsavedChanges ? 'HAS UNSAVED CHANGES' : 'NO UNSAVED CHANGES');
-        updateChangeIndicator();
-    }
+    // A commit replaces the server draft, so the draft prompt no longer applies
+    window.STWiki?.editors.onCommit(function() {
+        window.hideDraftPrompt();
+    });
 }
 
-// Update visual indicator of unsaved changes
-function updateChangeIndicator() {
-    const form = document.querySelector('form');
-    const saveButton = document.querySelector('button[type="submit"]');
+const EDIT_STATUS = {
+    clean: { icon: 'bi-check-circle', text: 'No changes' },
+    unsaved: { icon: 'bi-circle-fill', text: 'Unsaved changes' },
+    autosaved: { icon: 'bi-cloud-check', text: 'Draft saved' },
+    committed: { icon: 'bi-check2-all', text: 'Committed' }
+};
+
+// Update the status component next to the page's Save button
+function renderEditStatus() {
+    const status = document.getElementById('edit-status');
+    if (!status) return;
     
-    if (hasUnsavedChanges) {
-        // Add visual indicators
-        if (form) {
-            form.style.border = '2px solid orange';
-            form.style.borderRadius = '5px';
-        }
-        if (saveButton) {
-            saveButton.style.backgroundColor = '#fd7e14';
-            saveButton.textContent = saveButton.textContent.replace(/^(Create|Save)/, '$1*');
-        }
-    } else {
-        // Remove visual indicators
-        if (form) {
-            form.style.border = '';
-            form.style.borderRadius = '';
-        }
-        if (saveButton) {
-            saveButton.style.backgroundColor = '';
-            saveButton.textContent = saveButton.textContent.replace(/\*$/, '');
-        }
-    }
+    const { icon, text } = EDIT_STATUS[editState] || EDIT_STATUS.clean;
+    status.dataset.state = editState;
+    status.querySelector('i').className = `bi ${icon}`;
+    status.querySelector('[data-role="edit-status-text"]').textContent = text;
 }
 
 // Set up beforeunload warning
@@ -219,7 +159,8 @@ function setupBeforeUnloadWarning() {
     console.log('⚠️ Setting up beforeunload warning...');
     
     window.addEventListener('beforeunload', function(e) {
-        if (hasUnsavedChanges) {
+        // Autosaved drafts and commits are on the server already; only text it never got is at risk
+        if (editState === 'unsaved') {
             console.log('⚠️ Preventing navigation - unsaved changes detected');
             // Standard way to trigger browser's leave confirmation dialog
             e.preventDefault();
@@ -229,21 +170,6 @@ function setupBeforeUnloadWarning() {
     });
 }
 
-// Mark content as saved (called after successful save operations)
-window.markContentAsSaved = function() {
-    console.log('✅ Content marked as saved');
-    hasUnsavedChanges = false;
-    
-    // Update original content to current content
-    const editorContainer = document.querySelector('.editor-container');
-    if (editorContainer && window.getWikiEditorContent) {
-        const containerId = editorContainer.id || 'editor-container';
-        originalContent = window.getWikiEditorContent(containerId) || '';
-    }
-    
-    updateChangeIndicator();
-};
-
 // Accept the current draft (just hide the prompt)
 window.acceptDraft = function() {
     console.log('✅ User accepted draft content');
@@ -251,6 +177,27 @@ window.acceptDraft = function() {
     window.showToast('Continuing with draft content', 'success');
 };
 
+// Compare the draft with the last committed version in the editor before continuing with it
+window.reviewDraft = function() {
+    // The review runs inside the modular editor
+    const editor = window.STWiki?.editors.getActive();
+    const committed = document.getElementById('committed-body');
+    if (editor?.kind !== 'wiki' || !committed || !window.showDraftDiff) {
+        window.showToast('Draft review is not available', 'error');
+        return;
+    }
+    
+    const opened = window.showDraftDiff(editor.id, committed.value, {
+        onApply: () => {
+            hideDraftPrompt();
+            window.showToast('Continuing with reviewed draft', 'success');
+        }
+    });
+    if (!opened) {
+        window.showToast('The draft is the same as the committed version', 'success');
+    }
+};
+
 // Hide the draft prompt
 window.hideDraftPrompt = function() {
     console.log('👁️ Hiding draft prompt');
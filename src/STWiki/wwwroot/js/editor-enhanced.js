@@ -48,6 +48,7 @@ window.initEnhancedEditor = function(editorId, initialContent, componentRef) {
         };
 
         editorInstances.set(editorId, instance);
+        registerLegacyEditor(instance);
 
         // Set initial content - but first check what's already there
         const existingContent = textarea.value || '';
@@ -128,6 +129,22 @@ function setupEventListeners(instance) {
     }, 300);
   });
 
+  // Task list checkboxes in the preview toggle the matching [ ]/[x] in the source
+  if (instance.previewElement) {
+    instance.previewElement.addEventListener('change', async function (e) {
+      const box = e.target.closest && e.target.closest('input[type="checkbox"][data-source-line]');
+      if (!box) return;
+
+      const md = await loadMarkdownParser();
+      const at = md.taskMarkerOffset(textarea.value, Number(box.dataset.sourceLine));
+      if (at < 0) return;
+
+      textarea.setRangeText(box.checked ? 'x' : ' ', at, at + 1, 'preserve');
+      // Go through the normal input path so form sync, unsaved state and preview all update
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+  }
+
   // Tab key for indentation
   textarea.addEventListener('keydown', function (e) {
     if (e.key === 'Tab') {
@@ -273,6 +290,10 @@ function setupEventListeners(instance) {
     const items = dropdown.querySelectorAll('.autocomplete-item');
     const selectedIndex = instance.selectedAutoCompleteIndex || 0;
 
+    // Modified Home/End/PageUp/PageDown keep moving the caret
+    const modified = e.ctrlKey || e.metaKey || e.altKey || e.shiftKey;
+    const pageSize = 5;
+
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
@@ -284,6 +305,22 @@ function setupEventListeners(instance) {
         instance.selectedAutoCompleteIndex = Math.max(selectedIndex - 1, 0);
         updateAutoCompleteSelection(instance);
         break;
+      case 'PageDown':
+      case 'PageUp':
+        if (modified) break;
+        e.preventDefault();
+        instance.selectedAutoCompleteIndex = e.key === 'PageDown'
+          ? Math.min(selectedIndex + pageSize, items.length - 1)
+          : Math.max(selectedIndex - pageSize, 0);
+        updateAutoCompleteSelection(instance);
+        break;
+      case 'Home':
+      case 'End':
+        if (modified) break;
+        e.preventDefault();
+        instance.selectedAutoCompleteIndex = e.key === 'Home' ? 0 : items.length - 1;
+        updateAutoCompleteSelection(instance);
+        break;
       case 'Enter':
       case 'Tab':
         e.preventDefault();
@@ -402,6 +439,9 @@ function showAutoCompleteDropdown(instance, cursorPos, items, type) {
   items.forEach((item, index) => {
     const itemElement = document.createElement('div');
     itemElement.className = 'autocomplete-item';
+    itemElement.id = `${itemsList.id}-${index}`;
+    itemElement.setAttribute('role', 'option');
+    itemElement.setAttribute('aria-selected', 'false');
     itemElement.setAttribute('data-index', index);
 
     if (type === 'page') {
@@ -434,21 +474,39 @@ function showAutoCompleteDropdown(instance, cursorPos, items, type) {
   updateAutoCompleteSelection(instance);
   instance.autoCompleteType = type;
   instance.autoCompleteItems = items;
+  announceAutoComplete(instance, items.length
+    ? `${items.length} suggestion${items.length === 1 ? '' : 's'} available`
+    : 'No suggestions');
 }
 
-// Create auto-completion dropdown element
+// Create auto-completion dropdown element.
+// The textarea stays focused and follows the ARIA combobox pattern: it controls the listbox and
+// points at the highlighted option with aria-activedescendant. It keeps its own role, since
+// role=combobox would hide that it is a multi-line editor.
 function createAutoCompleteDropdown(instance) {
+  const listId = `${instance.id}-autocomplete`;
   const dropdown = document.createElement('div');
   dropdown.className = 'autocomplete-dropdown d-none';
   dropdown.innerHTML = `
-        <div class="autocomplete-items"></div>
-        <div class="autocomplete-footer text-muted">
+        <div class="autocomplete-items" id="${listId}" role="listbox" aria-label="Suggestions"></div>
+        <div class="autocomplete-footer text-muted" aria-hidden="true">
             <small>Use ↑↓ to navigate, Enter to select, Esc to cancel</small>
         </div>
+        <div class="visually-hidden" role="status" aria-live="polite"></div>
     `;
+  instance.textarea.setAttribute('aria-autocomplete', 'list');
+  instance.textarea.setAttribute('aria-controls', listId);
   return dropdown;
 }
 
+// Speak the result count through the dropdown's live region; unchanged text is not repeated
+function announceAutoComplete(instance, message) {
+  const status = instance.autoCompleteDropdown?.querySelector('[role="status"]');
+  if (status && status.textContent !== message) {
+    status.textContent = message;
+  }
+}
+
 // Position the auto-completion dropdown
 function positionAutoCompleteDropdown(instance, cursorPos) {
   const { textarea, autoCompleteDropdown } = instance;
@@ -471,12 +529,17 @@ function updateAutoCompleteSelection(instance) {
 
   const items = dropdown.querySelectorAll('.autocomplete-item');
   items.forEach((item, index) => {
-    if (index === instance.selectedAutoCompleteIndex) {
-      item.classList.add('selected');
-    } else {
-      item.classList.remove('selected');
+    const selected = index === instance.selectedAutoCompleteIndex;
+    item.classList.toggle('selected', selected);
+    item.setAttribute('aria-selected', String(selected));
+    if (selected) {
+      instance.textarea.setAttribute('aria-activedescendant', item.id);
+      item.scrollIntoView({ block: 'nearest' });
     }
   });
+  if (!items.length) {
+    instance.textarea.removeAttribute('aria-activedescendant');
+  }
 }
 
 // Select an auto-completion item
@@ -536,6 +599,8 @@ function filterAutoCompleteResults(instance, searchTerm) {
 function hideAutoComplete(instance) {
   if (instance.autoCompleteDropdown) {
     instance.autoCompleteDropdown.classList.add('d-none');
+    instance.textarea.removeAttribute('aria-activedescendant');
+    announceAutoComplete(instance, '');
     instance.selectedAutoCompleteIndex = 0;
     instance.autoCompleteType = null;
     instance.autoCompleteItems = null;
@@ -597,39 +662,38 @@ async function updatePreview(instance) {
 
     if (!content.trim()) {
       previewElement.innerHTML = '<em class="text-muted">Preview will appear here...</em>';
+      instance.previewBlocks = [];
+      showSanitizerNotice(instance, []);
       return;
     }
 
-    let html;
+    let blocks;
     if (format === 'html') {
-      // For HTML content, just display it directly (with basic sanitization)
-      html = content;
+      // For HTML content, display it as one block (sanitized like everything else below)
+      blocks = [{ line: 0, endLine: content.split('\n').length - 1, html: content }];
     } else {
       // For markdown content, convert to HTML using async version for proper media URLs
-      html = await markdownToHtmlAsync(content);
-    }
-
-    previewElement.innerHTML = html;
+      blocks = await markdownToBlocksAsync(content);
+    }
+
+    // Only the blocks that changed are replaced, so images, open <details> and scroll survive typing
+    const patcher = await loadPreviewPatcher();
+    const sanitizer = await loadSanitizer();
+    const result = await patcher.patchBlocks(previewElement, instance.previewBlocks || [], blocks, {
+      build: function (chunk) {
+        // Every block goes through the allowlist sanitizer before it reaches the DOM
+        const clean = sanitizer.sanitizeHtml(chunk.html);
+        chunk.removed = clean.removed;
+        return clean.html;
+      },
+      isStale: () => instance.lastContent !== content
+    });
+    if (!result) return;
+    instance.previewBlocks = result.chunks;
+    showSanitizerNotice(instance, result.chunks.flatMap(chunk => chunk.removed || []));
 
-    // Apply Prism.js syntax highlighting to the new content
-    if (typeof Prism !== 'undefined' && Prism.highlightElement) {
-      try {
-        // Simple, direct highlighting without complex error handling
-        const codeBlocks = previewElement.querySelectorAll('pre code[class*="language-"]');
-        codeBlocks.forEach(block => {
-          try {
-            // Simple highlighting - let Prism.js handle it
-            Prism.highlightElement(block);
-          } catch (blockError) {
-            // Silently continue with other blocks
-            console.debug('Skipping problematic code block');
-          }
-        });
-      } catch (prismError) {
-        // Silently skip highlighting if there are issues
-        console.debug('Prism.js highlighting skipped');
-      }
-    }
+    // Apply Prism.js syntax highlighting to the re-rendered code blocks only
+    patcher.highlightChanged(result.changed);
   } catch (error) {
     console.error('Error updating preview:', error);
     if (previewElement) {
@@ -690,99 +754,65 @@ function updateStats(instance) {
   }
 }
 
-// Process wiki macros (page links, media, templates) - async version
-async function processWikiMacrosAsync(text, macroBlocks, macroPlaceholder) {
-  // Store all async operations
-  const mediaPromises = [];
-  const mediaReplacements = [];
-
-  // First pass: identify and extract media macros for async processing
-  text = text.replace(/\[\[([^\]]+)\]\]/g, function (match, content) {
-    // Split on | for parameters (e.g., [[PageName|Display Text]])
-    const parts = content.split('|');
-    const pageName = parts[0].trim();
-    const displayText = parts[1] ? parts[1].trim() : pageName;
-
-    // Check if this is a media macro
-    if (pageName.toLowerCase().startsWith('media:')) {
-      // Queue for async processing
-      const placeholder = macroPlaceholder + macroBlocks.length;
-      macroBlocks.push(''); // Reserve slot
-      const mediaIndex = macroBlocks.length - 1;
+// Render a single wiki macro (page link or template) - synchronous fallback
+function processWikiMacro(raw) {
+  const content = raw.slice(2, -2);
 
-      // Store the promise and replacement info
-      mediaPromises.push(processMediaMacroAsync(match, content));
-      mediaReplacements.push(mediaIndex);
-
-      return placeholder;
-    }
+  // Process {{template-name}} templates (basic placeholder for now)
+  if (raw.startsWith('{{')) {
+    return `<span class="wiki-template text-muted fst-italic" title="Template: ${escapeHtml(content)}">{{${escapeHtml(content)}}}</span>`;
+  }
 
-    // Regular page link
-    const pageHtml = `<a href="/${encodeURIComponent(pageName)}" class="wiki-link" title="Go to page: ${escapeHtml(pageName)}">${escapeHtml(displayText)}</a>`;
-    macroBlocks.push(pageHtml);
-    return macroPlaceholder + (macroBlocks.length - 1);
-  });
+  // Split on | for parameters (e.g., [[PageName|Display Text]])
+  const parts = content.split('|');
+  const pageName = parts[0].trim();
+  const displayText = parts[1] ? parts[1].trim() : pageName;
 
-  // Process {{template-name}} templates (basic placeholder for now)
-  text = text.replace(/\{\{([^}]+)\}\}/g, function (match, templateName) {
-    const templateHtml = `<span class="wiki-template text-muted fst-italic" title="Template: ${escapeHtml(templateName)}">{{${escapeHtml(templateName)}}}</span>`;
-    macroBlocks.push(templateHtml);
-    return macroPlaceholder + (macroBlocks.length - 1);
-  });
+  // Check if this is a media macro
+  if (pageName.toLowerCase().startsWith('media:')) {
+    return processMediaMacro(raw, content);
+  }
 
-  // Wait for all media macros to resolve
-  if (mediaPromises.length > 0) {
-    try {
-      const resolvedMedia = await Promise.all(mediaPromises);
-      // Update the macro blocks with resolved media HTML
-      for (let i = 0; i < resolvedMedia.length; i++) {
-        const mediaIndex = mediaReplacements[i];
-        macroBlocks[mediaIndex] = resolvedMedia[i];
-      }
-    } catch (error) {
-      console.error('Failed to resolve some media macros:', error);
-      // Fallback to synchronous processing for failed items
-      for (let i = 0; i < mediaReplacements.length; i++) {
-        if (!macroBlocks[mediaReplacements[i]]) {
-          macroBlocks[mediaReplacements[i]] = '<span class="text-danger">Failed to load media</span>';
-        }
-      }
-    }
+  // Section links: [[PageName#anchor]], or [[#anchor]] on this page
+  const hash = pageName.indexOf('#');
+  if (hash >= 0) {
+    const slug = pageName.slice(0, hash).trim();
+    const anchor = pageName.slice(hash + 1).trim();
+    const href = (slug ? `/${encodeURIComponent(slug)}` : '') + `#${encodeURIComponent(anchor)}`;
+    return `<a href="${href}" class="wiki-link" title="Go to section: ${escapeHtml(pageName)}">${escapeHtml(displayText)}</a>`;
   }
 
-  return text;
+  // Regular page link
+  return `<a href="/${encodeURIComponent(pageName)}" class="wiki-link" title="Go to page: ${escapeHtml(pageName)}">${escapeHtml(displayText)}</a>`;
 }
 
-// Process wiki macros (page links, media, templates) - synchronous fallback
-function processWikiMacros(text, macroBlocks, macroPlaceholder) {
-  // Process [[page-name]] page links
-  text = text.replace(/\[\[([^\]]+)\]\]/g, function (match, content) {
-    // Split on | for parameters (e.g., [[PageName|Display Text]])
-    const parts = content.split('|');
-    const pageName = parts[0].trim();
-    const displayText = parts[1] ? parts[1].trim() : pageName;
-
-    // Check if this is a media macro
-    if (pageName.toLowerCase().startsWith('media:')) {
-      const mediaHtml = processMediaMacro(match, content);
-      macroBlocks.push(mediaHtml);
-      return macroPlaceholder + (macroBlocks.length - 1);
-    }
-
-    // Regular page link
-    const pageHtml = `<a href="/${encodeURIComponent(pageName)}" class="wiki-link" title="Go to page: ${escapeHtml(pageName)}">${escapeHtml(displayText)}</a>`;
-    macroBlocks.push(pageHtml);
-    return macroPlaceholder + (macroBlocks.length - 1);
-  });
+// Resolve every macro the parser found (page links, media, templates) - async version
+async function processWikiMacrosAsync(ast, md) {
+  const macroHtml = new Map();
+  const mediaPromises = [];
 
-  // Process {{template-name}} templates (basic placeholder for now)
-  text = text.replace(/\{\{([^}]+)\}\}/g, function (match, templateName) {
-    const templateHtml = `<span class="wiki-template text-muted fst-italic" title="Template: ${escapeHtml(templateName)}">{{${escapeHtml(templateName)}}}</span>`;
-    macroBlocks.push(templateHtml);
-    return macroPlaceholder + (macroBlocks.length - 1);
+  md.walk(ast, function (node) {
+    if (node.type !== 'macro' || macroHtml.has(node.raw)) return;
+
+    const content = node.raw.slice(2, -2);
+    if (node.raw.startsWith('[[') && content.trim().toLowerCase().startsWith('media:')) {
+      // Queue media for async processing; the sync version is the fallback
+      macroHtml.set(node.raw, '');
+      mediaPromises.push(processMediaMacroAsync(node.raw, content)
+        .then(html => macroHtml.set(node.raw, html))
+        .catch(error => {
+          console.error('Failed to resolve media macro:', error);
+          macroHtml.set(node.raw, '<span class="text-danger">Failed to load media</span>');
+        }));
+      return;
+    }
+
+    macroHtml.set(node.raw, processWikiMacro(node.raw));
   });
 
-  return text;
+  // Wait for all media macros to resolve
+  await Promise.all(mediaPromises);
+  return macroHtml;
 }
 
 // Process media macro with parameters (async version for API calls)
@@ -953,204 +983,69 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-// Basic markdown to HTML conversion (async version for proper media URL resolution)
-async function markdownToHtmlAsync(markdown) {
-  let html = markdown;
-
-  // Store code blocks temporarily to protect them from processing
-  const codeBlocks = [];
-  const codeBlockPlaceholder = '___CODE_BLOCK_PLACEHOLDER___';
-
-  // Extract and protect code blocks first
-  html = html.replace(/```(\w+)?\n?([\s\S]*?)```/g, function (match, lang, code) {
-    const language = lang ? lang.toLowerCase() : '';
-    const languageClass = language ? ` class="language-${language}"` : '';
-
-    // Preserve the code exactly as written, only escaping HTML entities
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    const codeBlockHtml = `<pre><code${languageClass}>${escapedCode}</code></pre>`;
-    codeBlocks.push(codeBlockHtml);
-    return codeBlockPlaceholder + (codeBlocks.length - 1);
-  });
-
-  // Extract and protect inline code
-  const inlineCodeBlocks = [];
-  const inlineCodePlaceholder = '___INLINE_CODE_PLACEHOLDER___';
-
-  html = html.replace(/`([^`]*)`/g, function (match, code) {
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    const inlineCodeHtml = `<code class="language-none">${escapedCode}</code>`;
-    inlineCodeBlocks.push(inlineCodeHtml);
-    return inlineCodePlaceholder + (inlineCodeBlocks.length - 1);
-  });
-
-  // Process wiki macros before escaping HTML (using async version for proper media URLs)
-  const wikiMacroBlocks = [];
-  const wikiMacroPlaceholder = '___WIKI_MACRO_PLACEHOLDER___';
-  html = await processWikiMacrosAsync(html, wikiMacroBlocks, wikiMacroPlaceholder);
-
-  // Now process the rest of the markdown (escaping HTML for non-code content)
-  html = html.replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  // Headers
-  html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-  html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-  html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-
-  // Bold and italic
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-
-  // Links
-  html = html.replace(/\[([^\]]*)\]\(([^)]*)\)/g, '<a href="$2">$1</a>');
-
-  // Blockquotes
-  html = html.replace(/^> (.*$)/gim, '<blockquote class="blockquote">$1</blockquote>');
-
-  // Lists
-  html = html.replace(/^\* (.*$)/gim, '<li>$1</li>');
-  html = html.replace(/^\- (.*$)/gim, '<li>$1</li>');
-  html = html.replace(/^\d+\. (.*$)/gim, '<li>$1</li>');
-
-  // Wrap consecutive list items in ul/ol
-  html = html.replace(/(<li>.*<\/li>)\n(<li>.*<\/li>)/g, '<ul>$1$2</ul>');
-  html = html.replace(/<\/ul>\n<ul>/g, '');
-
-  // Line breaks (but not inside code blocks)
-  html = html.replace(/\n\n/g, '</p><p>');
-  html = html.replace(/\n/g, '<br>');
+// Shared CommonMark parser (markdown.js). wiki-editor.js usually has it loaded already;
+// otherwise pull it in on demand, since classic scripts can't use static imports.
+function loadMarkdownParser() {
+  return window.STWikiMarkdown ? Promise.resolve(window.STWikiMarkdown) : import('/js/markdown.js');
+}
 
-  // Wrap in paragraphs if needed
-  if (html && !html.startsWith('<')) {
-    html = '<p>' + html + '</p>';
-  }
+// Block-by-block preview patcher (preview-patch.js), loaded the same way as the parser
+function loadPreviewPatcher() {
+  return window.STWikiPreviewPatch ? Promise.resolve(window.STWikiPreviewPatch) : import('/js/preview-patch.js');
+}
 
-  // Restore wiki macro blocks first (before other content that might contain similar patterns)
-  for (let i = 0; i < wikiMacroBlocks.length; i++) {
-    html = html.replace(wikiMacroPlaceholder + i, wikiMacroBlocks[i]);
-  }
+// Allowlist HTML sanitizer (html-sanitizer.js), loaded the same way as the parser
+function loadSanitizer() {
+  return window.STWikiSanitizer ? Promise.resolve(window.STWikiSanitizer) : import('/js/html-sanitizer.js');
+}
 
-  // Restore inline code blocks
-  for (let i = 0; i < inlineCodeBlocks.length; i++) {
-    html = html.replace(inlineCodePlaceholder + i, inlineCodeBlocks[i]);
+// Tell the author what the sanitizer removed from the preview, if anything
+function showSanitizerNotice(instance, removed) {
+  if (!removed.length) {
+    if (instance.sanitizerNotice) {
+      instance.sanitizerNotice.remove();
+      instance.sanitizerNotice = null;
+    }
+    return;
   }
 
-  // Restore code blocks last
-  for (let i = 0; i < codeBlocks.length; i++) {
-    html = html.replace(codeBlockPlaceholder + i, codeBlocks[i]);
+  if (!instance.sanitizerNotice) {
+    instance.sanitizerNotice = document.createElement('div');
+    instance.sanitizerNotice.className = 'preview-sanitizer-notice alert alert-warning py-1 px-2 mb-2 small';
+    instance.sanitizerNotice.setAttribute('role', 'status');
+    instance.previewElement.before(instance.sanitizerNotice);
   }
 
-  return html;
+  // Only reached after loadSanitizer(), which always leaves the global in place
+  instance.sanitizerNotice.textContent = 'Removed from preview for safety: ' + window.STWikiSanitizer.describeRemoved(removed);
 }
 
-// Basic markdown to HTML conversion (synchronous fallback)
-function markdownToHtml(markdown) {
-  let html = markdown;
-
-  // Store code blocks temporarily to protect them from processing
-  const codeBlocks = [];
-  const codeBlockPlaceholder = '___CODE_BLOCK_PLACEHOLDER___';
-
-  // Extract and protect code blocks first
-  html = html.replace(/```(\w+)?\n?([\s\S]*?)```/g, function (match, lang, code) {
-    const language = lang ? lang.toLowerCase() : '';
-    const languageClass = language ? ` class="language-${language}"` : '';
-
-    // Preserve the code exactly as written, only escaping HTML entities
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    const codeBlockHtml = `<pre><code${languageClass}>${escapedCode}</code></pre>`;
-    codeBlocks.push(codeBlockHtml);
-    return codeBlockPlaceholder + (codeBlocks.length - 1);
-  });
-
-  // Extract and protect inline code
-  const inlineCodeBlocks = [];
-  const inlineCodePlaceholder = '___INLINE_CODE_PLACEHOLDER___';
-
-  html = html.replace(/`([^`]*)`/g, function (match, code) {
-    const escapedCode = code
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
-
-    const inlineCodeHtml = `<code class="language-none">${escapedCode}</code>`;
-    inlineCodeBlocks.push(inlineCodeHtml);
-    return inlineCodePlaceholder + (inlineCodeBlocks.length - 1);
-  });
-
-  // Process wiki macros before escaping HTML (using synchronous version as fallback)
-  const wikiMacroBlocks = [];
-  const wikiMacroPlaceholder = '___WIKI_MACRO_PLACEHOLDER___';
-  html = processWikiMacros(html, wikiMacroBlocks, wikiMacroPlaceholder);
-
-  // Now process the rest of the markdown (escaping HTML for non-code content)
-  html = html.replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  // Headers
-  html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-  html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-  html = html.replace(/^# (.*$)/gim, '<h1>$1</h1>');
-
-  // Bold and italic
-  html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-
-  // Links
-  html = html.replace(/\[([^\]]*)\]\(([^)]*)\)/g, '<a href="$2">$1</a>');
+// Markdown to top-level HTML blocks [{ line, endLine, html }] (async version for proper media URL resolution)
+async function markdownToBlocksAsync(markdown) {
+  const md = await loadMarkdownParser();
+  const ast = md.parse(markdown);
 
-  // Blockquotes
-  html = html.replace(/^> (.*$)/gim, '<blockquote class="blockquote">$1</blockquote>');
+  // Wiki macros are opaque inline nodes in the AST, so code spans/blocks never contain them
+  const macroHtml = await processWikiMacrosAsync(ast, md);
 
-  // Lists
-  html = html.replace(/^\* (.*$)/gim, '<li>$1</li>');
-  html = html.replace(/^\- (.*$)/gim, '<li>$1</li>');
-  html = html.replace(/^\d+\. (.*$)/gim, '<li>$1</li>');
-
-  // Wrap consecutive list items in ul/ol
-  html = html.replace(/(<li>.*<\/li>)\n(<li>.*<\/li>)/g, '<ul>$1$2</ul>');
-  html = html.replace(/<\/ul>\n<ul>/g, '');
-
-  // Line breaks (but not inside code blocks)
-  html = html.replace(/\n\n/g, '</p><p>');
-  html = html.replace(/\n/g, '<br>');
-
-  // Wrap in paragraphs if needed
-  if (html && !html.startsWith('<')) {
-    html = '<p>' + html + '</p>';
-  }
-
-  // Restore wiki macro blocks first (before other content that might contain similar patterns)
-  for (let i = 0; i < wikiMacroBlocks.length; i++) {
-    html = html.replace(wikiMacroPlaceholder + i, wikiMacroBlocks[i]);
-  }
+  return md.renderBlocks(ast, { interactiveTasks: true, renderMacro: node => macroHtml.get(node.raw) });
+}
 
-  // Restore inline code blocks
-  for (let i = 0; i < inlineCodeBlocks.length; i++) {
-    html = html.replace(inlineCodePlaceholder + i, inlineCodeBlocks[i]);
-  }
+// Markdown to HTML conversion (async version for proper media URL resolution)
+async function markdownToHtmlAsync(markdown) {
+  const blocks = await markdownToBlocksAsync(markdown);
+  return blocks.map(block => block.html).join('');
+}
 
-  // Restore code blocks last
-  for (let i = 0; i < codeBlocks.length; i++) {
-    html = html.replace(codeBlockPlaceholder + i, codeBlocks[i]);
+// Markdown to HTML conversion (synchronous fallback, media URLs are not resolved)
+function markdownToHtml(markdown) {
+  const md = window.STWikiMarkdown;
+  if (!md) {
+    // Parser not loaded yet - show the source rather than a half-rendered guess
+    return `<pre class="text-muted">${escapeHtml(markdown)}</pre>`;
   }
 
-  return html;
+  return md.markdownToHtml(markdown, { interactiveTasks: true, renderMacro: node => processWikiMacro(node.raw) });
 }
 
 // Insert markdown formatting around selection
@@ -1202,6 +1097,34 @@ function insertLink(textarea) {
   textarea.focus();
 }
 
+// Make the instance reachable through the page's editor registry (editor-registry.js)
+function registerLegacyEditor(instance) {
+  const refresh = () => {
+    updatePreview(instance).catch(console.error);
+    updateStats(instance);
+  };
+  window.STWiki?.editors.register({
+    id: instance.id,
+    kind: 'legacy',
+    container: instance.container,
+    textarea: instance.textarea,
+    componentRef: instance.componentRef,
+    getValue: () => instance.textarea.value,
+    setValue: (text) => {
+      instance.textarea.value = text;
+      instance.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    },
+    reset: (text) => {
+      instance.textarea.value = text;
+      refresh();
+    },
+    setFormat: (format) => {
+      instance.format = format.toLowerCase();
+      refresh();
+    }
+  });
+}
+
 // Instance-specific function for toolbar buttons
 window.insertMarkdownFor = function (editorId, before, after) {
   const instance = editorInstances.get(editorId);
@@ -1333,6 +1256,7 @@ window.destroyEnhancedEditor = function (editorId) {
     }
 
     editorInstances.delete(editorId);
+    window.STWiki?.editors.unregister(editorId);
     console.log('Enhanced editor destroyed:', editorId);
   }
 };
@@ -1975,15 +1899,18 @@ function getTextPosition(textarea, textIndex) {
   }
 }
 
-// Check if Blazor is connected (for collaboration readiness)
-window.checkBlazorConnection = function () {
-  try {
-    // Check if Blazor SignalR connection is working
-    return typeof Blazor !== 'undefined' && Blazor.defaultReconnectionHandler;
-  } catch (error) {
-    return false;
-  }
-};
+// Check if Blazor is connected (for collaboration readiness); blazor-diagnostics.js provides the
+// real circuit state where it is loaded
+if (!window.checkBlazorConnection) {
+  window.checkBlazorConnection = function () {
+    try {
+      // Check if Blazor SignalR connection is working
+      return typeof Blazor !== 'undefined' && Blazor.defaultReconnectionHandler;
+    } catch (error) {
+      return false;
+    }
+  };
+}
 
 // Setup drag and drop functionality
 function setupDragAndDrop(instance) {
@@ -2308,6 +2235,7 @@ async function uploadImageFile(file, instance, metadata) {
     }
 
     const result = await response.json();
+    document.dispatchEvent(new CustomEvent('stwiki:media-changed', { detail: { action: 'uploaded', id: result.id } }));
     progressBar.style.width = '100%';
 
     // Insert media template at cursor position with parameters
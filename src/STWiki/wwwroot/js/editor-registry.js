@@ -0,0 +1,97 @@
+// editor-registry.js
+// One registry for the editors on the page, so page scripts stop guessing at selectors
+
+(function() {
+    // Every editor implementation registers an entry when it starts and unregisters when it goes:
+    //   wiki     - the modular WikiEditor (wiki-editor-blazor-bridge.js)
+    //   legacy   - the older enhanced editor (editor-enhanced.js)
+    //   fallback - the page's own Body textarea, when no editor came up (fallback-drag-drop.js)
+    // An entry is { id, kind, container, textarea, componentRef, getValue(), setValue(text),
+    // reset(text), setFormat(format) }. setValue replaces the text as an edit (undoable, autosaved,
+    // sent to collaborators); reset loads text as the new starting point, as after discarding a
+    // draft. componentRef is the EditorSimple .NET reference, when there is one.
+    //
+    // The form, draft and format scripts go through window.STWiki.editors:
+    //   getActive()   - the focused editor, else the one focused last, else the newest; a real
+    //                   editor always wins over the fallback textarea
+    //   get(id), all()
+    //   onChange(fn)  - fn(entry, text) after typing, setValue or reset; returns an unsubscribe function
+    //   onCommit(fn)  - fn({ editor, committedAt, revisionId }) after a commit; returns an unsubscribe function
+    //   committed(detail) - reported by whoever committed
+    const registered = new Map(); // id → { entry, order, ac }
+    const changeListeners = new Set();
+    const commitListeners = new Set();
+    let order = 0;
+    let lastFocused = null;
+    
+    function notify(listeners, ...args) {
+        listeners.forEach(fn => {
+            try { fn(...args); } catch (e) { console.error('Editor registry listener failed:', e); }
+        });
+    }
+    
+    function register(entry) {
+        if (!entry?.id || !entry.textarea) throw new Error('STWiki.editors.register: id and textarea are required');
+        unregister(entry.id);
+        entry.kind = entry.kind || 'wiki';
+        
+        const ac = new AbortController();
+        const changed = () => notify(changeListeners, entry, entry.getValue());
+        entry.textarea.addEventListener('input', changed, { signal: ac.signal });
+        (entry.container || entry.textarea).addEventListener('focusin', () => { lastFocused = entry.id; }, { signal: ac.signal });
+        // a reset bypasses input events; report it like one
+        const reset = entry.reset;
+        entry.reset = function(text) {
+            reset.call(this, text);
+            changed();
+        };
+        
+        registered.set(entry.id, { entry, order: ++order, ac });
+        return () => unregister(entry.id);
+    }
+    
+    function unregister(id) {
+        const record = registered.get(id);
+        if (!record) return false;
+        record.ac.abort();
+        registered.delete(id);
+        if (lastFocused === id) lastFocused = null;
+        return true;
+    }
+    
+    function get(id) {
+        return registered.get(id)?.entry ?? null;
+    }
+    
+    function all() {
+        return [...registered.values()].sort((a, b) => a.order - b.order).map(r => r.entry);
+    }
+    
+    function getActive() {
+        let candidates = [...registered.values()];
+        if (candidates.some(r => r.entry.kind !== 'fallback')) candidates = candidates.filter(r => r.entry.kind !== 'fallback');
+        if (!candidates.length) return null;
+        const focused = candidates.find(r => (r.entry.container || r.entry.textarea).contains(document.activeElement));
+        if (focused) return focused.entry;
+        const last = candidates.find(r => r.entry.id === lastFocused);
+        if (last) return last.entry;
+        return candidates.reduce((a, b) => (b.order > a.order ? b : a)).entry;
+    }
+    
+    function onChange(fn) {
+        changeListeners.add(fn);
+        return () => changeListeners.delete(fn);
+    }
+    
+    function onCommit(fn) {
+        commitListeners.add(fn);
+        return () => commitListeners.delete(fn);
+    }
+    
+    function committed({ editor, committedAt = null, revisionId = null } = {}) {
+        notify(commitListeners, { editor: editor || getActive(), committedAt, revisionId });
+    }
+    
+    window.STWiki = window.STWiki || {};
+    window.STWiki.editors = { register, unregister, get, getActive, all, onChange, onCommit, committed };
+})();
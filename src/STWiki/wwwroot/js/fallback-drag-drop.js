@@ -6,7 +6,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Check if we have the enhanced editor working
     setTimeout(function() {
-        const blazorEditor = document.querySelector('textarea[id*="simple-editor-"]');
+        const blazorEditor = window.STWiki?.editors.getActive();
         if (blazorEditor) {
             console.log('✅ Blazor editor found, drag-and-drop should be handled by enhanced editor');
             return;
@@ -26,6 +26,20 @@ function setupFallbackDragAndDrop() {
         return;
     }
     
+    // The body textarea is the editor now
+    window.STWiki?.editors.register({
+        id: 'body-textarea',
+        kind: 'fallback',
+        textarea: bodyTextarea,
+        getValue: () => bodyTextarea.value,
+        setValue: (text) => {
+            bodyTextarea.value = text;
+            bodyTextarea.dispatchEvent(new Event('input', { bubbles: true }));
+        },
+        reset: (text) => { bodyTextarea.value = text; },
+        setFormat: () => {}
+    });
+    
     // Make textarea visible for drag-and-drop
     bodyTextarea.classList.remove('d-none');
     bodyTextarea.style.minHeight = '400px';
@@ -301,6 +315,7 @@ async function uploadFallbackImage(file, metadata) {
         }
         
         const result = await response.json();
+        document.dispatchEvent(new CustomEvent('stwiki:media-changed', { detail: { action: 'uploaded', id: result.id } }));
         progressBar.style.width = '100%';
         
         // Insert into textarea with parameters
@@ -0,0 +1,228 @@
+// format-preview.js  —  ES module
+// Preview a Markdown ⇄ HTML conversion before it replaces the editor text. The original and the
+// converted text sit side by side, as source or rendered, and the constructs the server's converter
+// doesn't carry across (wiki macros, embedded HTML, tables) are listed and marked in the original.
+
+import { markdownToHtml, escapeHtml } from './markdown.js';
+import { sanitizeHtml } from './html-sanitizer.js';
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+export const formatNames = { markdown: 'Markdown', html: 'HTML' };
+
+/** What happens to each kind of construct, keyed by the format it is converted from */
+export const lossyKinds = {
+  macro: {
+    label: 'Wiki macro',
+    markdown: 'Copied into the HTML as plain text; check that the link or template still resolves',
+    html: 'Copied as text; characters inside it may come back escaped',
+  },
+  html: {
+    label: 'Embedded HTML',
+    markdown: 'Passed through as-is; Markdown written inside it is not converted',
+    html: 'No Markdown equivalent; kept as raw HTML or reduced to its text',
+  },
+  table: {
+    label: 'Table',
+    markdown: 'Becomes <table> markup, edited as HTML from then on',
+    html: 'Spans, attributes and block content in cells can\'t be written as a Markdown pipe table',
+  },
+};
+
+const RE_MACRO = /\[\[[^\[\]\n]+\]\]|\{\{[^{}\n]+\}\}/g; // the shapes markdown.js parses as macros
+const RE_TAG = /<\/?([a-z][a-z0-9-]*)(?=[\s/>])[^<>]*>/gi; // not autolinks like <https://…>
+const RE_MD_FENCE = /^ {0,3}(`{3,}|~{3,}).*$[\s\S]*?(?:^ {0,3}\1.*$|(?![\s\S]))/gm;
+const RE_MD_CODE_SPAN = /`[^`\n]+`/g;
+const RE_HTML_CODE = /<(pre|code)\b[\s\S]*?<\/\1\s*>/gi;
+const RE_HTML_TABLE = /<table\b[\s\S]*?(?:<\/table\s*>|(?![\s\S]))/gi;
+const RE_TABLE_DELIMITER = /^ {0,3}\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const RE_PRESENTATION_ATTR = /\s(?:class|style|id)\s*=/i;
+
+// Elements ReverseMarkdown writes as Markdown; everything else stays HTML or loses its markup
+const MARKDOWN_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i',
+  'img', 'li', 'ol', 'p', 'pre', 's', 'strong', 'ul',
+]);
+
+// Blank out code, keeping offsets, so nothing inside it is taken for a macro or a tag
+const blank = (s) => s.replace(/[^\n]/g, ' ');
+
+function markdownTables(src) {
+  const lines = src.split('\n');
+  const starts = [];
+  lines.reduce((offset, line) => (starts.push(offset), offset + line.length + 1), 0);
+
+  const tables = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i - 1].includes('|') || !lines[i].includes('|') || !RE_TABLE_DELIMITER.test(lines[i])) continue;
+    let end = i;
+    while (end + 1 < lines.length && lines[end + 1].includes('|') && lines[end + 1].trim()) end++;
+    tables.push({ kind: 'table', start: starts[i - 1], end: starts[end] + lines[end].length });
+    i = end;
+  }
+  return tables;
+}
+
+function isLossyTag(match, fromFormat) {
+  if (fromFormat === 'markdown') return !match[0].startsWith('</'); // one mark per element
+  if (match[0].startsWith('</')) return false;
+  return !MARKDOWN_TAGS.has(match[1].toLowerCase()) || RE_PRESENTATION_ATTR.test(match[0]);
+}
+
+/**
+ * Constructs in `text` that a conversion from `fromFormat` is known to lose or change.
+ * @returns {Array<{ kind: 'macro'|'html'|'table', start: number, end: number, text: string, note: string }>}
+ *   in document order
+ */
+export function findLossyConstructs(text, fromFormat) {
+  const src = fromFormat === 'html'
+    ? text.replace(RE_HTML_CODE, blank)
+    : text.replace(RE_MD_FENCE, blank).replace(RE_MD_CODE_SPAN, blank);
+
+  const found = fromFormat === 'html'
+    ? [...src.matchAll(RE_HTML_TABLE)].map(m => ({ kind: 'table', start: m.index, end: m.index + m[0].length }))
+    : markdownTables(src);
+  const inTable = (i) => found.some(f => i >= f.start && i < f.end);
+
+  // a table is marked whole, so nothing inside it gets a mark of its own
+  for (const m of src.matchAll(RE_MACRO)) {
+    if (!inTable(m.index)) found.push({ kind: 'macro', start: m.index, end: m.index + m[0].length });
+  }
+  for (const m of src.matchAll(RE_TAG)) {
+    if (inTable(m.index) || !isLossyTag(m, fromFormat)) continue;
+    found.push({ kind: 'html', start: m.index, end: m.index + m[0].length });
+  }
+
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(f => ({ ...f, text: text.slice(f.start, f.end), note: lossyKinds[f.kind][fromFormat] }));
+}
+
+export class FormatPreview {
+  /**
+   * @param {HTMLElement} host - renders into it
+   * @param {Object} opts - { original, converted, fromFormat, toFormat, view: 'source'|'rendered' }
+   */
+  constructor(host, opts = {}) {
+    this.host = host;
+    this.opts = opts;
+    this.view = opts.view || 'source';
+    this.findings = findLossyConstructs(opts.original ?? '', opts.fromFormat);
+    this.ac = new AbortController();
+    host.addEventListener('click', this.onClick, { signal: this.ac.signal });
+    this.render();
+  }
+
+  show(view) {
+    this.view = view;
+    this.render();
+  }
+
+  destroy() {
+    this.ac.abort();
+    this.host.replaceChildren();
+  }
+
+  onClick = (e) => {
+    const button = e.target.closest('button[data-preview-view]');
+    if (button && this.host.contains(button)) this.show(button.dataset.previewView);
+  };
+
+  // --- Rendering ---
+  render() {
+    const { original = '', converted = '', fromFormat, toFormat } = this.opts;
+
+    const toolbar = el('div', 'format-preview-toolbar d-flex align-items-center gap-2 mb-2');
+    toolbar.appendChild(el('span', 'small text-muted me-auto',
+      `${formatNames[fromFormat]} on the left, the ${formatNames[toFormat]} it converts to on the right`));
+    const views = el('div', 'btn-group btn-group-sm');
+    views.setAttribute('role', 'group');
+    views.setAttribute('aria-label', 'Preview view');
+    for (const [view, label] of [['source', 'Source'], ['rendered', 'Rendered']]) {
+      const b = el('button', 'btn btn-outline-secondary', label);
+      b.type = 'button';
+      b.dataset.previewView = view;
+      b.setAttribute('aria-pressed', String(this.view === view));
+      views.appendChild(b);
+    }
+    toolbar.appendChild(views);
+
+    const columns = el('div', 'format-preview-columns');
+    columns.appendChild(this.pane(`${formatNames[fromFormat]} (now)`, original, fromFormat, this.findings));
+    columns.appendChild(this.pane(`${formatNames[toFormat]} (converted)`, converted, toFormat, []));
+
+    this.host.replaceChildren(this.summary(), toolbar, columns);
+  }
+
+  summary() {
+    const { original, converted } = this.opts;
+    const box = el('div', 'format-preview-summary alert py-2 px-3 mb-2 small');
+    box.setAttribute('role', 'status');
+
+    if (converted === original) {
+      box.classList.add('alert-info');
+      box.textContent = 'The converter returned the text unchanged.';
+      return box;
+    }
+    if (!this.findings.length) {
+      box.classList.add('alert-success');
+      box.textContent = 'Nothing found that the conversion is known to lose. Check the rendered view before applying.';
+      return box;
+    }
+
+    box.classList.add('alert-warning');
+    box.appendChild(el('strong', null, `${plural(this.findings.length, 'place')} may not survive the conversion (marked below):`));
+    const list = el('ul', 'mb-0 mt-1');
+    for (const [kind, info] of Object.entries(lossyKinds)) {
+      const n = this.findings.filter(f => f.kind === kind).length;
+      if (!n) continue;
+      const item = el('li');
+      item.appendChild(el('span', `format-lossy format-lossy-${kind}`, n > 1 ? `${info.label} ×${n}` : info.label));
+      item.append(` ${info[this.opts.fromFormat]}`);
+      list.appendChild(item);
+    }
+    box.appendChild(list);
+    return box;
+  }
+
+  pane(label, text, format, findings) {
+    const pane = el('div', 'format-preview-pane');
+    pane.appendChild(el('div', 'format-preview-label', label));
+    pane.appendChild(this.view === 'rendered' ? this.rendered(text, format) : this.source(text, findings));
+    return pane;
+  }
+
+  /** Source text with each finding wrapped in a <mark> */
+  source(text, findings) {
+    const pre = el('pre', 'format-preview-source');
+    let pos = 0;
+    for (const f of findings) {
+      if (f.start < pos) continue; // overlapping ones keep the first
+      if (f.start > pos) pre.append(text.slice(pos, f.start));
+      const mark = el('mark', `format-lossy format-lossy-${f.kind}`, f.text);
+      mark.title = `${lossyKinds[f.kind].label}: ${f.note}`;
+      pre.appendChild(mark);
+      pos = f.end;
+    }
+    pre.append(text.slice(pos));
+    return pre;
+  }
+
+  rendered(text, format) {
+    const html = format === 'markdown'
+      ? markdownToHtml(text, {
+        renderMacro: node => `<mark class="format-lossy format-lossy-macro" title="${lossyKinds.macro.label}">${escapeHtml(node.raw)}</mark>`,
+      })
+      : text;
+    const view = el('div', 'format-preview-rendered wiki-content');
+    view.innerHTML = sanitizeHtml(html).html;
+    return view;
+  }
+}
@@ -6,6 +6,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Declare variables outside try-catch for proper scope
     let switchToHtmlBtn, switchToMarkdownBtn, formatOptions, confirmBtn, cancelBtn, conversionDescription, bodyFormatSelect;
+    let conversionError, previewModal, applyConversionBtn;
     let targetFormat = '';
     
     try {
@@ -16,6 +17,9 @@ document.addEventListener('DOMContentLoaded', function() {
         cancelBtn = document.getElementById('cancel-format-switch');
         conversionDescription = document.getElementById('conversion-description');
         bodyFormatSelect = document.querySelector('select[name="BodyFormat"]');
+        conversionError = document.getElementById('format-conversion-error');
+        previewModal = document.getElementById('format-preview-modal');
+        applyConversionBtn = document.getElementById('apply-format-conversion');
         
         // Comprehensive debug logging
         console.log('🔧 Elements found:');
@@ -132,6 +136,7 @@ document.addEventListener('DOMContentLoaded', function() {
         cancelBtn.addEventListener('click', function() {
             console.log('🔘 Cancel button clicked');
             formatOptions.style.display = 'none';
+            showConversionError(null);
             // Show the appropriate button again
             if (targetFormat === 'html') {
                 switchToHtmlBtn.style.display = 'inline-block';
@@ -156,6 +161,7 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Update UI
         updateFormatUI(newFormat);
+        showConversionError(null);
         
         // Hide options
         if (formatOptions) {
@@ -167,13 +173,13 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     function convertAndSwitchFormat(newFormat) {
-        // Get current content from the enhanced editor
-        const editorTextarea = document.querySelector('textarea[id*="simple-editor-"]');
+        // Get current content from the active editor (the body textarea when none registered)
+        const editor = window.STWiki?.editors.getActive();
         const bodyTextarea = document.getElementById('body-textarea');
         
         let currentContent = '';
-        if (editorTextarea) {
-            currentContent = editorTextarea.value || '';
+        if (editor) {
+            currentContent = editor.getValue() || '';
         } else if (bodyTextarea) {
             currentContent = bodyTextarea.value || '';
         }
@@ -184,6 +190,9 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
         
+        const fromFormat = bodyFormatSelect.value;
+        showConversionError(null);
+        
         // Show loading state
         confirmBtn.innerHTML = '<i class="bi bi-hourglass-split"></i> Converting...';
         confirmBtn.disabled = true;
@@ -196,32 +205,30 @@ document.addEventListener('DOMContentLoaded', function() {
             },
             body: JSON.stringify({
                 content: currentContent,
-                fromFormat: bodyFormatSelect.value,
+                fromFormat: fromFormat,
                 toFormat: newFormat
             })
         })
         .then(response => response.json())
         .then(data => {
-            if (data.success) {
-                // Update content in the enhanced editor
-                if (editorTextarea) {
-                    editorTextarea.value = data.convertedContent;
-                    // Trigger input event to update preview and sync
-                    editorTextarea.dispatchEvent(new Event('input', { bubbles: true }));
-                }
-                if (bodyTextarea) {
-                    bodyTextarea.value = data.convertedContent;
-                }
-                
-                // Switch format
-                switchFormatOnly(newFormat);
-            } else {
-                alert('Conversion failed: ' + (data.error || 'Unknown error'));
+            if (!data.success) {
+                showConversionError('Conversion failed: ' + (data.error || 'Unknown error'));
+                return;
             }
+            
+            // Nothing changes until the author has seen the result and applied it
+            return previewConversion({
+                editor: editor,
+                bodyTextarea: bodyTextarea,
+                original: currentContent,
+                converted: data.convertedContent,
+                fromFormat: fromFormat,
+                toFormat: newFormat
+            });
         })
         .catch(error => {
             console.error('Conversion error:', error);
-            alert('Conversion failed. Please try again or switch format without conversion.');
+            showConversionError('Conversion failed. Please try again or switch format without conversion.');
         })
         .finally(() => {
             // Restore button state
@@ -230,15 +237,60 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Show the original and converted text side by side (format-preview.js) in the preview modal.
+    // Closing it leaves the conversion options open, so the author can still switch without converting.
+    async function previewConversion({ editor, bodyTextarea, original, converted, fromFormat, toFormat }) {
+        const { FormatPreview, formatNames } = await import('/js/format-preview.js');
+        const host = previewModal.querySelector('[data-role="format-preview"]');
+        const errorBox = previewModal.querySelector('[data-role="format-preview-error"]');
+        const preview = new FormatPreview(host, { original, converted, fromFormat, toFormat });
+        const modal = bootstrap.Modal.getOrCreateInstance(previewModal);
+        const ac = new AbortController();
+        
+        previewModal.querySelector('.modal-title').textContent = `Convert ${formatNames[fromFormat]} to ${formatNames[toFormat]}`;
+        errorBox.classList.add('d-none');
+        
+        applyConversionBtn.addEventListener('click', () => {
+            const current = editor ? editor.getValue() : bodyTextarea?.value;
+            if ((current || '') !== original) {
+                // edited meanwhile (a collaborator, say); replacing it would throw that edit away
+                errorBox.textContent = 'The text changed while this preview was open. Close it and convert again.';
+                errorBox.classList.remove('d-none');
+                return;
+            }
+            
+            // One edit through the editor's history, so Ctrl+Z brings the original back; form-sync.js
+            // follows it into the body textarea
+            if (editor) {
+                editor.setValue(converted);
+            } else if (bodyTextarea) {
+                bodyTextarea.value = converted;
+            }
+            switchFormatOnly(toFormat);
+            modal.hide();
+        }, { signal: ac.signal });
+        
+        previewModal.addEventListener('hidden.bs.modal', () => {
+            ac.abort();
+            preview.destroy();
+        }, { signal: ac.signal });
+        
+        modal.show();
+    }
+    
+    function showConversionError(message) {
+        if (!conversionError) return;
+        conversionError.textContent = message || '';
+        conversionError.classList.toggle('d-none', !message);
+    }
+    
     function updateFormatUI(newFormat) {
         // Update badge
         const badge = document.querySelector('.badge.bg-primary');
         badge.textContent = newFormat.toUpperCase();
         
         // Update editor format for preview rendering
-        if (typeof updateEditorFormat !== 'undefined') {
-            updateEditorFormat(newFormat);
-        }
+        window.STWiki?.editors.all().forEach(editor => editor.setFormat(newFormat));
         
         // Show/hide buttons based on new format
         if (newFormat === 'markdown') {
@@ -0,0 +1,129 @@
+// html-sanitizer.js  —  ES module
+// Allowlist HTML sanitizer for preview output. Anything not explicitly allowed is removed, and every
+// removal is reported so the editor can tell authors why part of their content disappeared.
+
+/** Default allowlist. Pass a config with any of these keys to createSanitizer to replace them. */
+export const defaultAllowlist = {
+  tags: [
+    'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2',
+    'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'nav', 'ol',
+    'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var',
+  ],
+  // '*' applies to every tag; data-* attributes are allowed when allowData is true
+  attributes: {
+    '*': ['class', 'id', 'title', 'style', 'lang', 'dir', 'role', 'aria-label', 'aria-hidden'],
+    a: ['href', 'target', 'rel', 'name'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start', 'type', 'reversed'],
+    li: ['value'],
+    td: ['colspan', 'rowspan', 'align'],
+    th: ['colspan', 'rowspan', 'align', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    details: ['open'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+  },
+  allowData: true,
+  schemes: ['http', 'https', 'mailto', 'tel', 'ftp'],
+  // removed together with their content rather than unwrapped
+  dropWithContent: ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template', 'textarea', 'select', 'math', 'svg'],
+};
+
+const URL_ATTRS = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background']);
+const DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp);base64,[a-z0-9+/=\s]+$/i;
+const UNSAFE_STYLE = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding|@import/i;
+
+// scheme of a URL as a browser would read it (ignoring whitespace/control chars), or '' if relative
+function schemeOf(url) {
+  const m = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000- \u007f-\u009f]+/g, ''));
+  return m ? m[1].toLowerCase() : '';
+}
+
+/**
+ * Build a sanitizer for a given allowlist.
+ * @param {Object} config - overrides for defaultAllowlist keys
+ * @returns {(html: string) => { html: string, removed: Array<{ kind: 'element'|'attribute'|'url'|'style', name: string, value?: string }> }}
+ */
+export function createSanitizer(config = {}) {
+  const cfg = { ...defaultAllowlist, ...config };
+  const tags = new Set(cfg.tags);
+  const drop = new Set(cfg.dropWithContent);
+  const schemes = new Set(cfg.schemes);
+  const attrs = {};
+  for (const [tag, names] of Object.entries(cfg.attributes)) attrs[tag] = new Set(names);
+
+  const attrAllowed = (tag, name) =>
+    attrs['*']?.has(name) || attrs[tag]?.has(name) || (cfg.allowData && /^data-[\w-]+$/.test(name));
+
+  return function sanitize(html) {
+    const removed = [];
+    const tpl = document.createElement('template'); // inert: nothing loads or runs while we inspect it
+    tpl.innerHTML = html;
+
+    const clean = (parent) => {
+      for (const node of [...parent.childNodes]) {
+        if (node.nodeType === Node.COMMENT_NODE) { node.remove(); continue; }
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        const tag = node.localName;
+        if (!tags.has(tag)) {
+          removed.push({ kind:'element', name: tag });
+          if (drop.has(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') { node.remove(); continue; }
+          clean(node);
+          node.replaceWith(...node.childNodes); // unknown but harmless wrapper: keep its text
+          continue;
+        }
+        for (const { name, value } of [...node.attributes]) {
+          if (name.startsWith('on') || !attrAllowed(tag, name)) {
+            removed.push({ kind:'attribute', name, value });
+            node.removeAttribute(name);
+          } else if (URL_ATTRS.has(name)) {
+            const scheme = schemeOf(value);
+            const ok = !scheme || schemes.has(scheme) || (scheme === 'data' && tag === 'img' && DATA_IMAGE.test(value));
+            if (!ok) {
+              removed.push({ kind:'url', name: `${scheme}:`, value });
+              node.removeAttribute(name);
+            }
+          } else if (name === 'style' && UNSAFE_STYLE.test(value)) {
+            removed.push({ kind:'style', name, value });
+            node.removeAttribute(name);
+          }
+        }
+        if (tag === 'a' && node.getAttribute('target') === '_blank') node.setAttribute('rel', 'noopener noreferrer');
+        if (tag === 'input' && node.getAttribute('type') !== 'checkbox') { // only task list checkboxes
+          removed.push({ kind:'element', name: `input type="${node.getAttribute('type') || 'text'}"` });
+          node.remove();
+          continue;
+        }
+        clean(node);
+      }
+    };
+    clean(tpl.content);
+    return { html: tpl.innerHTML, removed };
+  };
+}
+
+/** Shared default-config sanitizer */
+export const sanitizeHtml = createSanitizer();
+
+/** Human summary of a removal report, e.g. "<script> ×2, onclick attribute, javascript: link" */
+export function describeRemoved(removed) {
+  const counts = new Map();
+  for (const r of removed) {
+    const label = r.kind === 'element' ? `<${r.name}>`
+      : r.kind === 'attribute' ? `${r.name} attribute`
+      : r.kind === 'url' ? `${r.name} link`
+      : 'unsafe style';
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return [...counts].map(([label, n]) => n > 1 ? `${label} ×${n}` : label).join(', ');
+}
+
+// classic scripts (editor-enhanced.js) reach the sanitizer through this global
+window.STWikiSanitizer = { createSanitizer, sanitizeHtml, describeRemoved, defaultAllowlist };
@@ -0,0 +1,37 @@
+// idb-store.js  —  ES module
+// One IndexedDB object store in a database of its own, opened once per page load. Shared by the
+// stores that keep editor work on this device: outbox.js and draft-backup.js.
+
+/**
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {(db: IDBDatabase) => void} upgrade - creates the store and its indexes in a new database
+ * @returns {(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest|void) => Promise}
+ *   withStore: runs `fn(store)` in one transaction; resolves with the result of the request it
+ *   returns, once committed. Rejects when IndexedDB is unavailable.
+ */
+export function createStore(dbName, storeName, upgrade) {
+  let dbPromise = null;
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+        const req = indexedDB.open(dbName, 1);
+        req.onupgradeneeded = () => upgrade(req.result);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  return async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  };
+}
@@ -0,0 +1,902 @@
+// markdown.js  —  ES module
+// Shared CommonMark parser for both editors (and the preview worker). Two phases:
+// block structure -> AST with source lines, then inline parsing of leaf text.
+// No DOM access, so it runs unchanged inside a Worker.
+
+/* ---------------- Utilities ---------------- */
+
+// Same set Markdig escapes; attributes are always double-quoted.
+const ESC_MAP = {'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'};
+export const escapeHtml = (s) => String(s).replace(/[&<>"]/g, m => ESC_MAP[m]);
+
+const ASCII_PUNCT = /[!-\/:-@\[-`{-~]/;
+const UNICODE_PUNCT = /[\p{P}\p{S}]/u;
+const isSpace = (c) => c === undefined || /\s/.test(c);
+const isPunct = (c) => c !== undefined && (ASCII_PUNCT.test(c) || UNICODE_PUNCT.test(c));
+const isBlank = (s) => /^[ \t]*$/.test(s);
+
+// leading indentation in columns (tabs stop at multiples of 4)
+const indentOf = (s) => {
+  let col = 0;
+  for (const c of s) {
+    if (c === ' ') col++;
+    else if (c === '\t') col += 4 - (col % 4);
+    else break;
+  }
+  return col;
+};
+
+// drop `cols` columns of indentation, expanding a partially consumed tab
+const stripIndent = (s, cols) => {
+  let col = 0, i = 0;
+  while (i < s.length && col < cols) {
+    if (s[i] === ' ') { col++; i++; }
+    else if (s[i] === '\t') {
+      const w = 4 - (col % 4);
+      if (col + w > cols) return ' '.repeat(col + w - cols) + s.slice(i + 1);
+      col += w; i++;
+    } else break;
+  }
+  return s.slice(i);
+};
+
+export const normalizeLabel = (s) => s.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// percent-encode what browsers would, keeping existing %XX escapes
+export const normalizeUrl = (url) =>
+  url.replace(/%(?![0-9a-f]{2})|[^\w\-.~:/?#@!$&'()*+,;=%]/gi, c => encodeURIComponent(c));
+
+const unescapeMd = (s) => s.replace(/\\([!-\/:-@\[-`{-~])/g, '$1');
+
+/* ---------------- Block rules ---------------- */
+
+const RE_ATX = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const RE_HR = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const RE_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const RE_QUOTE = /^ {0,3}>/;
+const RE_SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+const RE_BULLET = /^( {0,3})([-+*])(?=[ \t]|$)/;
+const RE_ORDERED = /^( {0,3})(\d{1,9})([.)])(?=[ \t]|$)/;
+const RE_TASK = /^\[([ xX])\](?:[ \t]+|$)/;
+
+const HTML_BLOCK_TAGS = 'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+const ATTR = `(?:\\s+[A-Za-z_:][\\w.:-]*(?:\\s*=\\s*(?:[^\\s"'=<>\`]+|'[^']*'|"[^"]*"))?)`;
+const OPEN_TAG = `<[A-Za-z][A-Za-z0-9-]*${ATTR}*\\s*\\/?>`;
+const CLOSE_TAG = `<\\/[A-Za-z][A-Za-z0-9-]*\\s*>`;
+// [start, end, canInterruptParagraph]
+const HTML_BLOCKS = [
+  [/^ {0,3}<(?:script|pre|style|textarea)(?=[\s>]|$)/i, /<\/(?:script|pre|style|textarea)>/i, true],
+  [/^ {0,3}<!--/, /-->/, true],
+  [/^ {0,3}<\?/, /\?>/, true],
+  [/^ {0,3}<![A-Za-z]/, />/, true],
+  [/^ {0,3}<!\[CDATA\[/, /\]\]>/, true],
+  [new RegExp(`^ {0,3}<\\/?(?:${HTML_BLOCK_TAGS})(?=[\\s/>]|$)`, 'i'), null, true],
+  [new RegExp(`^ {0,3}(?:${OPEN_TAG}|${CLOSE_TAG})[ \\t]*$`), null, false],
+];
+
+/** List marker on a line -> { ordered, char, start, indent, contentIndent, rest } */
+function listMarker(text) {
+  const m = RE_BULLET.exec(text) || RE_ORDERED.exec(text);
+  if (!m) return null;
+  const ordered = m.length === 4;
+  const markerEnd = m[0].length;
+  const after = text.slice(markerEnd);
+  const spaces = indentOf(after);
+  const rest = stripIndent(after, spaces);
+  const base = indentOf(m[1]) + markerEnd - m[1].length;
+  // blank item, or 5+ spaces (indented code inside the item): content starts one column after the marker
+  const contentIndent = (!rest || spaces > 4) ? base + 1 : base + spaces;
+  return {
+    ordered,
+    char: ordered ? m[3] : m[2],
+    start: ordered ? parseInt(m[2], 10) : null,
+    indent: indentOf(m[1]),
+    contentIndent,
+    rest: spaces > 4 ? stripIndent(after, 1) : rest,
+  };
+}
+
+/** Block rules are tried in order; extensions are spliced in before 'paragraph'.
+ * rule: { name, interrupts?(text, ctx) -> bool, parse(lines, i, ctx) -> { node, next } | null } */
+export const blockRules = [
+  {
+    name: 'indentedCode',
+    parse(lines, i) {
+      if (indentOf(lines[i].text) < 4) return null;
+      let j = i, end = i;
+      const body = [];
+      while (j < lines.length && (indentOf(lines[j].text) >= 4 || isBlank(lines[j].text))) {
+        body.push(stripIndent(lines[j].text, 4));
+        if (!isBlank(lines[j].text)) end = j;
+        j++;
+      }
+      body.length = end - i + 1; // trailing blank lines are not part of the block
+      return { node: { type:'code', lang:'', text: body.join('\n') + '\n', line: lines[i].n, endLine: lines[end].n }, next: end + 1 };
+    },
+  },
+  {
+    name: 'fence',
+    interrupts: (t) => {
+      const m = RE_FENCE.exec(t);
+      return !!m && !(m[2][0] === '`' && m[3].includes('`'));
+    },
+    parse(lines, i) {
+      const m = RE_FENCE.exec(lines[i].text);
+      if (!m) return null;
+      const [, pad, fence, infoRaw] = m;
+      if (fence[0] === '`' && infoRaw.includes('`')) return null;
+      const info = unescapeMd(infoRaw.trim());
+      const close = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+      const body = [];
+      let j = i + 1;
+      while (j < lines.length && !close.test(lines[j].text)) {
+        body.push(stripIndent(lines[j].text, Math.min(pad.length, indentOf(lines[j].text))));
+        j++;
+      }
+      const endLine = j < lines.length ? lines[j].n : lines[lines.length - 1].n;
+      return {
+        node: { type:'code', lang: info.split(/\s+/)[0] || '', info, text: body.length ? body.join('\n') + '\n' : '', fenced: true, line: lines[i].n, endLine },
+        next: j + 1,
+      };
+    },
+  },
+  {
+    name: 'heading',
+    interrupts: (t) => RE_ATX.test(t),
+    parse(lines, i) {
+      const m = RE_ATX.exec(lines[i].text);
+      if (!m) return null;
+      const text = m[2].replace(/^[ \t]+/, '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+      return { node: { type:'heading', level: m[1].length, raw: text, line: lines[i].n, endLine: lines[i].n }, next: i + 1 };
+    },
+  },
+  {
+    name: 'hr',
+    interrupts: (t) => RE_HR.test(t),
+    parse(lines, i) {
+      if (!RE_HR.test(lines[i].text)) return null;
+      return { node: { type:'hr', line: lines[i].n, endLine: lines[i].n }, next: i + 1 };
+    },
+  },
+  {
+    name: 'blockquote',
+    interrupts: (t) => RE_QUOTE.test(t),
+    parse(lines, i, ctx) {
+      if (!RE_QUOTE.test(lines[i].text)) return null;
+      const inner = [];
+      let j = i;
+      while (j < lines.length) {
+        const t = lines[j].text;
+        if (RE_QUOTE.test(t)) {
+          const after = t.replace(/^ {0,3}>/, '');
+          inner.push({ text: after[0] === ' ' ? after.slice(1) : after[0] === '\t' ? stripIndent(after, 1) : after, n: lines[j].n });
+        } else if (!isBlank(t) && inner.length && canContinueLazily(inner, t, ctx)) {
+          inner.push({ text: t, n: lines[j].n }); // lazy continuation of a quoted paragraph
+        } else break;
+        j++;
+      }
+      return { node: { type:'blockquote', children: parseBlocks(inner, ctx), line: lines[i].n, endLine: lines[j - 1].n }, next: j };
+    },
+  },
+  {
+    name: 'list',
+    interrupts: (t) => {
+      const m = listMarker(t);
+      return !!m && !!m.rest && (!m.ordered || m.start === 1);
+    },
+    parse(lines, i, ctx) {
+      const first = listMarker(lines[i].text);
+      if (!first) return null;
+      const items = [];
+      let j = i, loose = false;
+      while (j < lines.length) {
+        const m = listMarker(lines[j].text);
+        if (!m || m.ordered !== first.ordered || m.char !== first.char) break;
+        if (j > i && RE_HR.test(lines[j].text)) break; // "* * *" is a break, not an item
+        const inner = [{ text: m.rest, n: lines[j].n }];
+        const startLine = lines[j].n;
+        j++;
+        while (j < lines.length) {
+          const t = lines[j].text;
+          if (isBlank(t)) {
+            if (inner.length === 1 && !m.rest) break; // an item can start with at most one blank line
+            inner.push({ text: '', n: lines[j].n });
+          } else if (indentOf(t) >= m.contentIndent) {
+            inner.push({ text: stripIndent(t, m.contentIndent), n: lines[j].n });
+          } else if (!isBlank(inner[inner.length - 1].text) && !listMarker(t) && canContinueLazily(inner, t, ctx)) {
+            inner.push({ text: t, n: lines[j].n });
+          } else break;
+          j++;
+        }
+        let trailingBlank = false;
+        while (inner.length > 1 && isBlank(inner[inner.length - 1].text)) { inner.pop(); trailingBlank = true; }
+        const children = parseBlocks(inner, ctx);
+        for (let k = 1; k < children.length; k++) {
+          if (children[k].line > children[k - 1].endLine + 1) loose = true;
+        }
+        const item = { type:'item', children, line: startLine, endLine: inner[inner.length - 1].n };
+        const para = children[0];
+        const task = para?.type === 'paragraph' && para.line === startLine ? RE_TASK.exec(para.raw) : null;
+        if (task) { // GFM task list item: "- [ ] text" / "- [x] text"
+          para.raw = para.raw.slice(task[0].length);
+          para.task = { type:'task', checked: task[1] !== ' ', line: startLine };
+          item.task = true;
+        }
+        items.push(item);
+        let k = j;
+        while (k < lines.length && isBlank(lines[k].text)) k++;
+        const next = k < lines.length && !RE_HR.test(lines[k].text) ? listMarker(lines[k].text) : null;
+        if (!next || next.ordered !== first.ordered || next.char !== first.char) break;
+        if (trailingBlank || k > j) loose = true;
+        j = k;
+      }
+      return {
+        node: { type:'list', ordered: first.ordered, start: first.start, loose, children: items, line: lines[i].n, endLine: items[items.length - 1].endLine },
+        next: j,
+      };
+    },
+  },
+  {
+    name: 'html',
+    interrupts: (t) => HTML_BLOCKS.some(([start, , canInterrupt]) => canInterrupt && start.test(t)),
+    parse(lines, i) {
+      const kind = HTML_BLOCKS.find(([start]) => start.test(lines[i].text));
+      if (!kind) return null;
+      const [, end] = kind;
+      const body = [];
+      let j = i;
+      while (j < lines.length) {
+        const t = lines[j].text;
+        if (!end && isBlank(t)) break;
+        body.push(t);
+        j++;
+        if (end && end.test(t)) break;
+      }
+      return { node: { type:'html', html: body.join('\n') + '\n', line: lines[i].n, endLine: lines[j - 1].n }, next: j };
+    },
+  },
+  {
+    name: 'table',
+    parse(lines, i) {
+      // GFM pipe table: header row, delimiter row, then body rows up to a blank line
+      if (i + 1 >= lines.length || !lines[i].text.includes('|')) return null;
+      const delim = RE_TABLE_DELIM.exec(lines[i + 1].text);
+      if (!delim || indentOf(lines[i].text) >= 4) return null;
+      const align = splitRow(lines[i + 1].text).map(c => {
+        const l = c.startsWith(':'), r = c.endsWith(':');
+        return l && r ? 'center' : r ? 'right' : l ? 'left' : null;
+      });
+      const header = splitRow(lines[i].text);
+      if (header.length !== align.length) return null;
+      const row = (cells, n, head) => ({
+        type:'row', header: head, line: n, endLine: n,
+        children: align.map((a, k) => ({ type:'cell', align: a, header: head, raw: cells[k] ?? '' })),
+      });
+      const rows = [row(header, lines[i].n, true)];
+      let j = i + 2;
+      while (j < lines.length && !isBlank(lines[j].text) && !interrupts(lines[j].text)) {
+        rows.push(row(splitRow(lines[j].text), lines[j].n, false));
+        j++;
+      }
+      return { node: { type:'table', align, children: rows, line: lines[i].n, endLine: lines[j - 1].n }, next: j };
+    },
+  },
+  {
+    name: 'paragraph',
+    parse(lines, i, ctx) {
+      const body = [lines[i].text];
+      let j = i + 1;
+      while (j < lines.length) {
+        const t = lines[j].text;
+        if (isBlank(t)) break;
+        const setext = RE_SETEXT.exec(t);
+        if (setext && indentOf(t) < 4) {
+          const raw = body.map(s => s.trim()).join('\n');
+          const rest = extractRefs(raw, ctx);
+          if (rest.trim()) {
+            return { node: { type:'heading', level: setext[1][0] === '=' ? 1 : 2, raw: rest.trim(), line: lines[i].n, endLine: lines[j].n }, next: j + 1 };
+          }
+        }
+        if (interrupts(t, ctx)) break;
+        body.push(t);
+        j++;
+      }
+      const raw = body.map(s => s.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+      const rest = extractRefs(raw, ctx);
+      if (!rest) return { node: null, next: j }; // only link reference definitions
+      return { node: { type:'paragraph', raw: rest, line: lines[i].n, endLine: lines[j - 1].n }, next: j };
+    },
+  },
+];
+
+const RE_TABLE_DELIM = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// table row -> trimmed cell sources; "\|" stays in the cell as a literal pipe
+function splitRow(text) {
+  const cells = [];
+  let cell = '';
+  const src = text.trim().replace(/^\|/, '');
+  for (let k = 0; k < src.length; k++) {
+    if (src[k] === '\\' && src[k + 1] === '|') { cell += '|'; k++; }
+    else if (src[k] === '|') { cells.push(cell.trim()); cell = ''; }
+    else cell += src[k];
+  }
+  if (cell.trim() || !src.endsWith('|')) cells.push(cell.trim());
+  return cells;
+}
+
+function interrupts(text, ctx) {
+  if (indentOf(text) >= 4) return false;
+  return blockRules.some(r => r.interrupts?.(text, ctx));
+}
+
+// a non-quoted, non-indented line may continue the innermost open paragraph
+function canContinueLazily(inner, text, ctx) {
+  if (interrupts(text, ctx)) return false;
+  const open = parseBlocks(inner, ctx, true);
+  const last = lastLeaf(open);
+  return !!last && last.type === 'paragraph' && last.endLine === inner[inner.length - 1].n;
+}
+
+function lastLeaf(blocks) {
+  let node = blocks[blocks.length - 1];
+  while (node?.children?.length && node.type !== 'paragraph') node = node.children[node.children.length - 1];
+  return node;
+}
+
+const RE_REFDEF = /^ {0,3}\[((?:[^\\\[\]]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^<>\n]*>|[^\s<]\S*)(?:(?:[ \t]+|[ \t]*\n[ \t]*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*(?:\n|$)/;
+
+// pull leading [label]: url "title" definitions out of a paragraph
+function extractRefs(raw, ctx) {
+  let m;
+  while ((m = RE_REFDEF.exec(raw))) {
+    const label = normalizeLabel(m[1]);
+    if (!label) break;
+    let href = m[2];
+    if (href[0] === '<') href = href.slice(1, -1);
+    if (!ctx.refs.has(label)) {
+      ctx.refs.set(label, { href: unescapeMd(href), title: m[3] ? unescapeMd(m[3].slice(1, -1)) : null });
+    }
+    raw = raw.slice(m[0].length);
+  }
+  return raw;
+}
+
+/** Parse a run of lines ({ text, n }) into block nodes */
+export function parseBlocks(lines, ctx, dryRun = false) {
+  const blocks = [];
+  let i = 0;
+  const saved = dryRun ? new Map(ctx.refs) : null;
+  while (i < lines.length) {
+    if (isBlank(lines[i].text)) { i++; continue; }
+    for (const rule of blockRules) {
+      const r = rule.parse(lines, i, ctx);
+      if (!r) continue;
+      if (r.node) blocks.push(r.node);
+      i = r.next;
+      break;
+    }
+  }
+  if (saved) ctx.refs = saved;
+  return blocks;
+}
+
+/* ---------------- Inline rules ---------------- */
+
+const RE_ENTITY = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const RE_AUTOLINK = /^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/;
+const RE_EMAIL = /^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/;
+const RE_INLINE_HTML = new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG}|<!---->|<!--(?:-?[^>-])(?:-?[^-])*-->|<\\?[\\s\\S]*?\\?>|<![A-Za-z]+[^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`);
+const RE_BARE_URL = /^(?:https?:\/\/|ftp:\/\/|mailto:|www\.)[^\s<]+/i;
+const RE_MACRO = /^(\[\[[^\[\]\n]+\]\]|\{\{[^{}\n]+\}\})/;
+
+/** Inline rules see the scanner state and return true when they consumed input.
+ * Extensions push rules with a `trigger` char set; delimiter chars are listed in `delimiterChars`. */
+export const delimiterChars = new Set(['*', '_', '~', '^', '+', '=']);
+export const inlineRules = [
+  { // wiki macros stay opaque so emphasis/links never split them; PreviewPlugin resolves them later
+    name: 'macro', trigger: '[{',
+    parse(st) {
+      const m = RE_MACRO.exec(st.src.slice(st.pos));
+      if (!m) return false;
+      st.push({ type:'macro', raw: m[1] });
+      st.pos += m[1].length;
+      return true;
+    },
+  },
+  {
+    name: 'escape', trigger: '\\',
+    parse(st) {
+      const next = st.src[st.pos + 1];
+      if (next === '\n') { st.push({ type:'br' }); st.pos += 2; st.skipLeadingSpace(); return true; }
+      if (next && ASCII_PUNCT.test(next)) { st.text(next); st.pos += 2; return true; }
+      return false;
+    },
+  },
+  {
+    name: 'code', trigger: '`',
+    parse(st) {
+      const run = /^`+/.exec(st.src.slice(st.pos))[0];
+      const start = st.pos + run.length;
+      const re = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+      re.lastIndex = start;
+      const m = re.exec(st.src);
+      if (!m) { st.text(run); st.pos = start; return true; }
+      let code = st.src.slice(start, m.index).replace(/\n/g, ' ');
+      if (code.length > 1 && code[0] === ' ' && code[code.length - 1] === ' ' && /[^ ]/.test(code)) code = code.slice(1, -1);
+      st.push({ type:'codespan', text: code });
+      st.pos = m.index + run.length;
+      return true;
+    },
+  },
+  {
+    name: 'autolink', trigger: '<',
+    parse(st) {
+      const rest = st.src.slice(st.pos);
+      let m;
+      if ((m = RE_AUTOLINK.exec(rest))) {
+        st.push({ type:'link', href: m[1], title: null, children: [{ type:'text', value: m[1] }] });
+      } else if ((m = RE_EMAIL.exec(rest))) {
+        st.push({ type:'link', href: 'mailto:' + m[1], title: null, children: [{ type:'text', value: m[1] }] });
+      } else if ((m = RE_INLINE_HTML.exec(rest))) {
+        st.push({ type:'htmlinline', html: m[0] });
+      } else return false;
+      st.pos += m[0].length;
+      return true;
+    },
+  },
+  { // GFM extended autolinks: bare http(s)://, ftp://, mailto: and www. URLs
+    name: 'bareUrl', trigger: 'hfmw',
+    parse(st) {
+      const before = st.src[st.pos - 1];
+      if (before !== undefined && !/[\s*_~(]/.test(before)) return false;
+      const m = RE_BARE_URL.exec(st.src.slice(st.pos));
+      if (!m) return false;
+      let url = m[0].replace(/[?!.,:*_~'"]+$/, '');
+      while (url.endsWith(')') && url.split('(').length < url.split(')').length) url = url.slice(0, -1);
+      if (/^(?:[a-z]+:\/\/|mailto:|www\.)$/i.test(url)) return false;
+      const href = /^www\./i.test(url) ? 'http://' + url : url;
+      st.push({ type:'link', href, title: null, children: [{ type:'text', value: url.replace(/^mailto:/i, '') }] });
+      st.pos += url.length;
+      return true;
+    },
+  },
+  {
+    name: 'entity', trigger: '&',
+    parse(st) {
+      const m = RE_ENTITY.exec(st.src.slice(st.pos));
+      if (!m) return false;
+      st.push({ type:'entity', raw: m[0] });
+      st.pos += m[0].length;
+      return true;
+    },
+  },
+  {
+    name: 'newline', trigger: '\n',
+    parse(st) {
+      const last = st.nodes[st.nodes.length - 1];
+      let hard = false;
+      if (last?.type === 'text') {
+        hard = / {2,}$/.test(last.value);
+        last.value = last.value.replace(/ +$/, '');
+      }
+      st.push({ type: hard ? 'br' : 'softbreak' });
+      st.pos++;
+      st.skipLeadingSpace();
+      return true;
+    },
+  },
+];
+
+class InlineState {
+  constructor(src, ctx) {
+    this.src = src;
+    this.ctx = ctx;
+    this.pos = 0;
+    this.nodes = [];
+    this.delims = [];   // emphasis delimiter runs, in document order
+    this.brackets = []; // open [ and ![
+  }
+  push(node) { this.nodes.push(node); return node; }
+  text(s) {
+    const last = this.nodes[this.nodes.length - 1];
+    if (last?.type === 'text' && !last.delim) last.value += s;
+    else this.push({ type:'text', value: s });
+  }
+  skipLeadingSpace() { while (this.src[this.pos] === ' ') this.pos++; }
+}
+
+const TRIGGERS = () => {
+  let chars = '[]!';
+  for (const r of inlineRules) chars += r.trigger;
+  for (const c of delimiterChars) chars += c;
+  return chars;
+};
+
+/** Parse inline markdown into nodes */
+export function parseInline(src, ctx) {
+  const st = new InlineState(src, ctx);
+  const triggers = TRIGGERS();
+  while (st.pos < src.length) {
+    const c = src[st.pos];
+    if (!triggers.includes(c)) {
+      let j = st.pos + 1;
+      while (j < src.length && !triggers.includes(src[j])) j++;
+      st.text(src.slice(st.pos, j));
+      st.pos = j;
+      continue;
+    }
+    if (inlineRules.some(r => r.trigger.includes(c) && r.parse(st))) continue;
+    if (delimiterChars.has(c)) { scanDelimiters(st, c); continue; }
+    if (c === '[' || (c === '!' && src[st.pos + 1] === '[')) {
+      const image = c === '!';
+      const node = st.push({ type:'text', value: image ? '![' : '[', delim: true });
+      st.pos += image ? 2 : 1;
+      st.brackets.push({ node, image, active: true, delimBottom: st.delims.length, labelStart: st.pos });
+      continue;
+    }
+    if (c === ']') { closeBracket(st); continue; }
+    st.text(c);
+    st.pos++;
+  }
+  processEmphasis(st, 0);
+  return mergeText(st.nodes);
+}
+
+function scanDelimiters(st, c) {
+  const { src } = st;
+  let j = st.pos;
+  while (src[j] === c) j++;
+  const count = j - st.pos;
+  const before = src[st.pos - 1], after = src[j];
+  const leftFlanking = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+  const rightFlanking = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+  let canOpen = leftFlanking, canClose = rightFlanking;
+  if (c === '_') {
+    canOpen = leftFlanking && (!rightFlanking || isPunct(before));
+    canClose = rightFlanking && (!leftFlanking || isPunct(after));
+  }
+  const node = st.push({ type:'text', value: src.slice(st.pos, j), delim: true });
+  st.delims.push({ node, char: c, count, origCount: count, canOpen, canClose });
+  st.pos = j;
+}
+
+/** Emphasis pairing per CommonMark "process emphasis"; extensions define `delimiterTypes[char]` */
+export const delimiterTypes = {
+  '*': (n) => n >= 2 ? { use: 2, type:'strong' } : { use: 1, type:'em' },
+  '_': (n) => n >= 2 ? { use: 2, type:'strong' } : { use: 1, type:'em' },
+  // Markdig emphasis extras: ~~del~~, ~sub~, ^sup^, ++ins++, ==mark==
+  '~': (n, o, c) => o.origCount !== c.origCount ? null : n === 2 ? { use: 2, type:'del' } : n === 1 ? { use: 1, type:'sub' } : null,
+  '^': () => ({ use: 1, type:'sup' }),
+  '+': (n) => n >= 2 ? { use: 2, type:'ins' } : null,
+  '=': (n) => n >= 2 ? { use: 2, type:'mark' } : null,
+};
+
+function processEmphasis(st, bottom) {
+  const { delims, nodes } = st;
+  const openersBottom = {};
+  let c = bottom;
+  while (c < delims.length) {
+    const closer = delims[c];
+    if (!closer.canClose) { c++; continue; }
+    const key = `${closer.char}${closer.canOpen}${closer.origCount % 3}`;
+    let o = c - 1, opener = null;
+    const below = openersBottom[key]; // delimiter under which no opener can match this kind of closer
+    const floor = Math.max(bottom, below ? delims.indexOf(below) + 1 : bottom);
+    for (; o >= floor; o--) {
+      const d = delims[o];
+      if (d.char !== closer.char || !d.canOpen) continue;
+      const odd = (d.canClose || closer.canOpen) && (d.origCount + closer.origCount) % 3 === 0
+        && !(d.origCount % 3 === 0 && closer.origCount % 3 === 0);
+      if (!odd) { opener = d; break; }
+    }
+    const pair = opener && delimiterTypes[closer.char](Math.min(opener.count, closer.count), opener, closer);
+    if (!pair) {
+      openersBottom[key] = delims[c - 1];
+      if (!closer.canOpen) { delims.splice(c, 1); } else c++;
+      continue;
+    }
+    const { use, type } = pair;
+    opener.count -= use;
+    closer.count -= use;
+    opener.node.value = opener.node.value.slice(0, opener.count);
+    closer.node.value = closer.node.value.slice(use);
+    const from = nodes.indexOf(opener.node) + 1, to = nodes.indexOf(closer.node);
+    const wrapped = { type, children: nodes.splice(from, to - from) };
+    nodes.splice(from, 0, wrapped);
+    delims.splice(o + 1, c - o - 1); // delimiters inside the span are now plain text
+    c = o + 1;
+    if (opener.count === 0) { nodes.splice(nodes.indexOf(opener.node), 1); delims.splice(o, 1); c--; }
+    if (closer.count === 0) { nodes.splice(nodes.indexOf(closer.node), 1); delims.splice(c, 1); }
+  }
+  delims.length = bottom;
+}
+
+function closeBracket(st) {
+  const opener = st.brackets.pop();
+  st.pos++;
+  if (!opener) { st.text(']'); return; }
+  if (!opener.active) { st.text(']'); opener.node.delim = false; return; }
+  const target = parseLinkTarget(st, opener);
+  if (!target) { st.text(']'); opener.node.delim = false; return; }
+  const { nodes } = st;
+  const at = nodes.indexOf(opener.node);
+  processEmphasis(st, opener.delimBottom);
+  const children = nodes.splice(at + 1);
+  nodes.pop(); // the [ itself
+  st.push(opener.image
+    ? { type:'image', href: target.href, title: target.title, children }
+    : { type:'link', href: target.href, title: target.title, children });
+  if (!opener.image) st.brackets.forEach(b => { if (!b.image) b.active = false; }); // no links in links
+}
+
+// after "]": (dest "title"), [ref], [] or shortcut reference
+function parseLinkTarget(st, opener) {
+  const { src, ctx } = st;
+  const labelText = src.slice(opener.labelStart, st.pos - 1);
+  if (src[st.pos] === '(') {
+    const m = /^\(\s*(?:<((?:[^<>\n\\]|\\.)*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))(?:\s+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?\s*\)/.exec(src.slice(st.pos));
+    if (m) {
+      st.pos += m[0].length;
+      return { href: unescapeMd(m[1] ?? m[2] ?? ''), title: m[3] ? unescapeMd(m[3].slice(1, -1)) : null };
+    }
+  }
+  let label = labelText;
+  const ref = /^\[((?:[^\\\[\]]|\\.){0,999})\]/.exec(src.slice(st.pos));
+  if (ref) {
+    if (ref[1].trim()) label = ref[1];
+    const def = ctx.refs.get(normalizeLabel(label));
+    if (def) { st.pos += ref[0].length; return def; }
+    if (ref[1].trim()) return null;
+  }
+  return ctx.refs.get(normalizeLabel(label)) || null;
+}
+
+function mergeText(nodes) {
+  const out = [];
+  for (const n of nodes) {
+    if (n.type === 'text') {
+      if (!n.value) continue;
+      const last = out[out.length - 1];
+      if (last?.type === 'text') { last.value += n.value; continue; }
+      out.push({ type:'text', value: n.value });
+    } else {
+      if (n.children) n.children = mergeText(n.children);
+      out.push(n);
+    }
+  }
+  return out;
+}
+
+/* ---------------- Tree ---------------- */
+
+/** Block types whose `raw` source holds inline markdown */
+export const inlineContainers = new Set(['paragraph', 'heading', 'cell']);
+
+/** Parse markdown into a document AST. Block nodes carry `line`/`endLine` (0-based source lines). */
+export function parse(markdown) {
+  const ctx = { refs: new Map() };
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '�')
+    .split('\n').map((text, n) => ({ text, n }));
+  const children = parseBlocks(lines, ctx);
+  const doc = { type:'document', children };
+  walk(doc, (node) => {
+    if (inlineContainers.has(node.type)) {
+      node.children = parseInline(node.raw, ctx);
+      if (node.task) node.children.unshift(node.task);
+    }
+  });
+  // heading anchors are unique per document, numbered in source order like Markdig's
+  const ids = new Set();
+  walk(doc, (node) => {
+    if (node.type !== 'heading') return;
+    const base = headingId(textContent(node.children)) || 'section';
+    let id = base;
+    for (let k = 1; ids.has(id); k++) id = `${base}-${k}`;
+    ids.add(id);
+    node.id = id;
+  });
+  return doc;
+}
+
+/** Depth-first visit; return false from fn to skip a node's children */
+export function walk(node, fn) {
+  if (fn(node) === false) return;
+  for (const child of node.children || []) walk(child, fn);
+}
+
+/** Plain text of an inline subtree (alt text, heading text) */
+export function textContent(nodes) {
+  let s = '';
+  for (const n of nodes || []) {
+    if (n.type === 'text') s += n.value;
+    else if (n.type === 'codespan') s += n.text;
+    else if (n.type === 'softbreak' || n.type === 'br') s += ' ';
+    else if (n.type === 'macro') s += n.raw;
+    else if (n.children) s += textContent(n.children);
+  }
+  return s;
+}
+
+/* ---------------- Heading ids ---------------- */
+
+const ID_PUNCTUATION = new Set(['_', '-', '.']);
+// letters NFKD does not decompose to ASCII
+const ASCII_FOLD = { 'ß':'ss', 'æ':'ae', 'Æ':'AE', 'œ':'oe', 'Œ':'OE', 'ø':'o', 'Ø':'O', 'ł':'l', 'Ł':'L', 'đ':'d', 'Đ':'D', 'ð':'d', 'þ':'th' };
+
+/** Anchor id for heading text. Same algorithm as Markdig's AutoIdentifiers (ASCII only), so preview
+ * and view page anchors agree: lowercase letters and digits, other runs become "-", leading
+ * non-letters and trailing punctuation dropped. */
+export function headingId(text) {
+  let out = '';
+  let hasLetter = false, previousIsSpace = false;
+  for (const ch of String(text ?? '')) {
+    const folded = ASCII_FOLD[ch] ?? ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    for (const c of folded) {
+      if (/\p{L}/u.test(c)) {
+        if (c > '~') continue;
+        out += c.toLowerCase();
+        hasLetter = true;
+        previousIsSpace = false;
+      } else if (!hasLetter) {
+        continue;
+      } else if (ID_PUNCTUATION.has(c)) {
+        if (previousIsSpace) out = out.slice(0, -1);
+        if (out[out.length - 1] !== c) out += c;
+        previousIsSpace = false;
+      } else if (c >= '0' && c <= '9') {
+        out += c;
+        previousIsSpace = false;
+      } else if (!previousIsSpace) {
+        if (!ID_PUNCTUATION.has(out[out.length - 1])) out += '-';
+        previousIsSpace = true;
+      }
+    }
+  }
+  return out.replace(/[-_.]+$/, '');
+}
+
+/** Headings of a parsed document in source order -> [{ id, text, level, line }] */
+export function headings(ast) {
+  const out = [];
+  walk(ast, (node) => {
+    if (node.type === 'heading') out.push({ id: node.id, text: textContent(node.children).trim(), level: node.level, line: node.line });
+  });
+  return out;
+}
+
+/* ---------------- Rendering ---------------- */
+
+/** HTML renderers by node type: (node, r) => string, where r.inline/r.blocks render children.
+ * Extensions add entries here. Output follows the server's Markdig renderer. */
+export const renderers = {
+  document: (n, r) => r.blocks(n.children),
+  paragraph: (n, r) => r.tight ? r.inline(n.children) : `<p>${r.inline(n.children)}</p>\n`,
+  heading: (n, r) => `<h${n.level}${n.id ? ` id="${escapeHtml(n.id)}"` : ''}>${r.inline(n.children)}</h${n.level}>\n`,
+  hr: () => '<hr />\n',
+  code: (n) => {
+    const cls = n.lang ? ` class="language-${escapeHtml(n.lang)}"` : '';
+    return `<pre><code${cls}>${escapeHtml(n.text)}</code></pre>\n`;
+  },
+  html: (n) => n.html,
+  blockquote: (n, r) => `<blockquote>\n${r.blocks(n.children, false)}</blockquote>\n`,
+  list: (n, r) => {
+    const tag = n.ordered ? 'ol' : 'ul';
+    const start = n.ordered && n.start !== 1 ? ` start="${n.start}"` : '';
+    const cls = n.children.some(item => item.task) ? ' class="contains-task-list"' : '';
+    return `<${tag}${cls}${start}>\n${n.children.map(item => r.render(item, { tight: !n.loose })).join('')}</${tag}>\n`;
+  },
+  item: (n, r) => {
+    const li = n.task ? '<li class="task-list-item">' : '<li>';
+    if (!r.tight) return `${li}${n.children.length ? '\n' + r.blocks(n.children) : ''}</li>\n`;
+    // tight items: paragraphs unwrapped, other blocks still start on their own line
+    let out = '';
+    n.children.forEach((c, k) => {
+      const html = r.render(c);
+      if (c.type === 'paragraph') out += html + (k < n.children.length - 1 ? '\n' : '');
+      else out += (k === 0 ? '\n' : '') + html;
+    });
+    return `${li}${out}</li>\n`;
+  },
+  // opts.interactiveTasks leaves checkboxes enabled and tags them with their source line
+  // (an offset from opts.lineBase when rendering blocks, like the other positions)
+  task: (n, r) => {
+    const attrs = r.opts.interactiveTasks ? r.position(n.line) : ' disabled="disabled"';
+    return `<input${attrs} type="checkbox"${n.checked ? ' checked="checked"' : ''} /> `;
+  },
+  table: (n, r) => {
+    const [head, ...body] = n.children;
+    const rows = (list) => list.map(row => `<tr>\n${r.blocks(row.children)}</tr>\n`).join('');
+    return `<table>\n<thead>\n${rows([head])}</thead>\n${body.length ? `<tbody>\n${rows(body)}</tbody>\n` : ''}</table>\n`;
+  },
+  cell: (n, r) => {
+    const tag = n.header ? 'th' : 'td';
+    const style = n.align ? ` style="text-align: ${n.align};"` : '';
+    return `<${tag}${style}>${r.inline(n.children)}</${tag}>\n`;
+  },
+  text: (n) => escapeHtml(n.value),
+  softbreak: () => '\n',
+  br: () => '<br />\n',
+  entity: (n) => n.raw,
+  codespan: (n) => `<code>${escapeHtml(n.text)}</code>`,
+  htmlinline: (n) => n.html,
+  macro: (n) => escapeHtml(n.raw),
+  em: (n, r) => `<em>${r.inline(n.children)}</em>`,
+  strong: (n, r) => `<strong>${r.inline(n.children)}</strong>`,
+  del: (n, r) => `<del>${r.inline(n.children)}</del>`,
+  sub: (n, r) => `<sub>${r.inline(n.children)}</sub>`,
+  sup: (n, r) => `<sup>${r.inline(n.children)}</sup>`,
+  ins: (n, r) => `<ins>${r.inline(n.children)}</ins>`,
+  mark: (n, r) => `<mark>${r.inline(n.children)}</mark>`,
+  link: (n, r) => {
+    const title = n.title != null ? ` title="${escapeHtml(n.title)}"` : '';
+    return `<a href="${escapeHtml(normalizeUrl(n.href))}"${title}>${r.inline(n.children)}</a>`;
+  },
+  image: (n) => {
+    const title = n.title != null ? ` title="${escapeHtml(n.title)}"` : '';
+    return `<img src="${escapeHtml(normalizeUrl(n.href))}" alt="${escapeHtml(textContent(n.children))}"${title} />`;
+  },
+};
+
+// block types that get a data-source-line annotation with opts.sourcePositions
+const POSITIONED = new Set(['paragraph', 'heading', 'code', 'blockquote', 'list', 'item', 'table', 'row', 'hr']);
+
+/** Render an AST to HTML.
+ * @param {Object} opts - { renderMacro(node) -> html|undefined } to resolve [[...]] / {{...}} inline,
+ *   interactiveTasks, sourcePositions (tag block elements with their 0-based source line, for scroll sync),
+ *   lineBase (write positions as data-source-offset, counted from this line; see renderBlocks) */
+export function render(ast, opts = {}) {
+  const r = {
+    tight: false,
+    opts,
+    position(line) {
+      return opts.lineBase == null ? ` data-source-line="${line}"` : ` data-source-offset="${line - opts.lineBase}"`;
+    },
+    render(node, state = {}) {
+      const prev = r.tight;
+      if ('tight' in state) r.tight = state.tight;
+      const fn = renderers[node.type];
+      let out = '';
+      if (node.type === 'macro' && opts.renderMacro) out = opts.renderMacro(node) ?? fn(node, r);
+      else if (fn) out = fn(node, r);
+      if (opts.sourcePositions && POSITIONED.has(node.type) && !(node.type === 'paragraph' && r.tight)) {
+        out = out.replace(/^<([a-z][a-z0-9]*)/, `<$1${r.position(node.line)}`);
+      }
+      r.tight = prev;
+      return out;
+    },
+    blocks(nodes, tight = r.tight) { return nodes.map(n => r.render(n, { tight })).join(''); },
+    inline(nodes) { return nodes.map(n => r.render(n)).join(''); },
+  };
+  return r.render(ast, { tight: false });
+}
+
+const RE_TASK_SOURCE = /^((?:[ \t]*>)*(?:[ \t]*(?:[-+*]|\d{1,9}[.)])[ \t]+)+\[)[ xX]\]/;
+
+/** Offset in `source` of the " "/"x" inside the task marker on `line`, or -1 if that line has none */
+export function taskMarkerOffset(source, line) {
+  const lines = source.split('\n');
+  if (line < 0 || line >= lines.length) return -1;
+  const m = RE_TASK_SOURCE.exec(lines[line]);
+  if (!m) return -1;
+  let offset = 0;
+  for (let k = 0; k < line; k++) offset += lines[k].length + 1;
+  return offset + m[1].length;
+}
+
+/** One-shot convenience used by the previews */
+export function markdownToHtml(markdown, opts) {
+  return render(parse(markdown), opts);
+}
+
+/** Top-level blocks rendered one at a time -> [{ line, endLine, html }], for incremental patching.
+ * Positions inside a block are offsets from its first line, so its html stays the same when edits
+ * above move it; patchBlocks (preview-patch.js) writes the absolute lines into the live DOM. */
+export function renderBlocks(ast, opts) {
+  return ast.children.map(node => ({ line: node.line, endLine: node.endLine, html: render(node, { ...opts, lineBase: node.line }) }));
+}
+
+// classic scripts (editor-enhanced.js) reach the parser through this global
+if (typeof window !== 'undefined') {
+  window.STWikiMarkdown = { parse, render, renderBlocks, walk, markdownToHtml, escapeHtml, taskMarkerOffset, headingId, headings };
+}
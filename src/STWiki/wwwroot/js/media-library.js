@@ -162,6 +162,7 @@ class MediaLibrary {
                 }
 
                 const uploadResult = await response.json();
+                this.notifyMediaChanged('uploaded', uploadResult.id);
                 uploadedFiles.push({
                     originalFile: file,
                     fileName: uploadResult.fileName,
@@ -477,6 +478,7 @@ class MediaLibrary {
             });
 
             if (!response.ok) throw new Error('Failed to update media');
+            this.notifyMediaChanged('updated', this.currentMediaId);
 
             const modalElement = document.getElementById('mediaDetailsModal');
             const modal = bootstrap.Modal.getInstance(modalElement);
@@ -498,6 +500,7 @@ class MediaLibrary {
             });
             
             if (response.ok) {
+                this.notifyMediaChanged('deleted', this.currentMediaId);
                 const modalElement = document.getElementById('mediaDetailsModal');
                 const modal = bootstrap.Modal.getInstance(modalElement);
                 modal.hide();
@@ -593,6 +596,7 @@ class MediaLibrary {
         try {
             const response = await fetch(`/api/media/${mediaId}`, { method: 'DELETE' });
             if (response.ok) {
+                this.notifyMediaChanged('deleted', mediaId);
                 const mediaItem = document.querySelector(`[data-id="${mediaId}"]`).closest('.col-xl-2');
                 mediaItem.remove();
                 this.showSuccessMessage('Media file deleted successfully');
@@ -605,6 +609,12 @@ class MediaLibrary {
         }
     }
 
+    // Editor previews cache media lookups and drop them on this event; other tabs hear it through
+    // the relay at the bottom of this file
+    notifyMediaChanged(action, id) {
+        document.dispatchEvent(new CustomEvent('stwiki:media-changed', { detail: { action, id } }));
+    }
+
     getFileIcon(contentType) {
         if (contentType.startsWith('image/')) return 'file-earmark-image';
         if (contentType.includes('pdf')) return 'file-earmark-pdf';
@@ -729,6 +739,19 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
+// Relay stwiki:media-changed between tabs, so an editor open next to the media library (or next to
+// another editor that uploads) drops its cached lookups too. This file loads on both pages, so the
+// uploads in the editor scripts are relayed as well.
+if (typeof BroadcastChannel !== 'undefined') {
+    const mediaChannel = new BroadcastChannel('stwiki:media-changed');
+    document.addEventListener('stwiki:media-changed', (e) => {
+        if (!e.detail?.fromOtherTab) mediaChannel.postMessage({ action: e.detail?.action, id: e.detail?.id });
+    });
+    mediaChannel.onmessage = (e) => {
+        document.dispatchEvent(new CustomEvent('stwiki:media-changed', { detail: { ...e.data, fromOtherTab: true } }));
+    };
+}
+
 // Global function to open upload modal with pre-selected files (for editor integration)
 window.openUploadModalWithFiles = function(files, callback) {
     // Ensure media library is initialized
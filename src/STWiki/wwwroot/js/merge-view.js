@@ -0,0 +1,217 @@
+// merge-view.js  —  ES module
+// Resolve a commit that raced someone else's. Changes only one side made are merged line by line
+// (merge3 in text-diff.js); each conflict left shows your text next to the committed one and is
+// settled by taking a side, both, or editing the result by hand. Nothing goes back into the editor
+// until every conflict has an answer.
+
+import { merge3, resolveMerge } from './text-diff.js';
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+};
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+export class MergeView {
+  /**
+   * @param {HTMLElement} host - renders into it, shown while the merge is open
+   * @param {Object} opts - { base, mine, theirs, updatedBy, onApply(text), onClose(),
+   *   context: unchanged lines kept around each change }
+   */
+  constructor(host, opts = {}) {
+    this.host = host;
+    this.opts = opts;
+    this.context = opts.context ?? 2;
+    this.merge = merge3(opts.base ?? '', opts.mine ?? '', opts.theirs ?? '');
+    this.resolved = new Map(); // conflict index → text it resolves to
+    this.picked = new Map();   // conflict index → 'mine'|'theirs'|'both'|'edited'
+    this.ac = new AbortController();
+    host.addEventListener('click', this.onClick, { signal: this.ac.signal });
+    host.addEventListener('input', this.onInput, { signal: this.ac.signal });
+    this.render();
+  }
+
+  get conflicts() { return this.merge.conflicts; }
+  get unresolved() { return this.conflicts - this.resolved.size; }
+
+  /** The merged document; conflicts not resolved yet keep your text */
+  get result() { return resolveMerge(this.merge.chunks, c => this.resolved.get(c.index) ?? c.mine.join('\n')); }
+
+  /** Settle one conflict with a side: 'mine', 'theirs' or 'both' (yours first) */
+  pick(index, side) {
+    const conflict = this.merge.chunks.find(c => c.type === 'conflict' && c.index === index);
+    if (!conflict) return;
+    const lines = side === 'both' ? [...conflict.mine, ...conflict.theirs] : conflict[side];
+    this.resolved.set(index, lines.join('\n'));
+    this.picked.set(index, side);
+    this.render();
+  }
+
+  pickAll(side) {
+    for (const c of this.merge.chunks) {
+      if (c.type !== 'conflict') continue;
+      this.resolved.set(c.index, c[side].join('\n'));
+      this.picked.set(c.index, side);
+    }
+    this.render();
+  }
+
+  /** Hand-edited result; no re-render, the textarea being typed in keeps its caret */
+  edit(index, text) {
+    this.resolved.set(index, text);
+    this.picked.set(index, 'edited');
+    this.host.querySelector(`.merge-conflict[data-conflict="${index}"]`)?.classList.add('resolved');
+    this.host.querySelectorAll(`button[data-merge-action="pick"][data-conflict="${index}"]`)
+      .forEach(b => b.setAttribute('aria-pressed', 'false'));
+    this.renderStatus();
+  }
+
+  apply() {
+    if (this.unresolved) return;
+    const text = this.result;
+    this.close();
+    this.opts.onApply?.(text);
+  }
+
+  close() {
+    this.ac.abort();
+    this.host.replaceChildren();
+    this.host.classList.add('d-none');
+    this.opts.onClose?.();
+  }
+
+  onClick = (e) => {
+    const button = e.target.closest('button[data-merge-action]');
+    if (!button || !this.host.contains(button)) return;
+    const { mergeAction, conflict, side } = button.dataset;
+    switch (mergeAction) {
+      case 'pick': this.pick(Number(conflict), side); break;
+      case 'pick-all': this.pickAll(side); break;
+      case 'apply': this.apply(); break;
+      case 'cancel': this.close(); break;
+    }
+  };
+
+  onInput = (e) => {
+    const ta = e.target.closest('textarea[data-conflict]');
+    if (ta && this.host.contains(ta)) this.edit(Number(ta.dataset.conflict), ta.value);
+  };
+
+  // --- Rendering ---
+  render() {
+    const focused = this.host.contains(document.activeElement) ? this.keyOf(document.activeElement) : null;
+
+    const header = el('div', 'merge-view-header d-flex flex-wrap align-items-center gap-2');
+    header.appendChild(el('strong', 'me-1', `${this.opts.updatedBy || 'Someone else'} committed this page while you were editing`));
+    header.appendChild(el('span', 'merge-status small text-muted me-auto'));
+    if (this.conflicts) {
+      header.appendChild(this.button('Use mine for all', 'btn-outline-primary', 'pick-all', { side: 'mine' }));
+      header.appendChild(this.button('Use theirs for all', 'btn-outline-secondary', 'pick-all', { side: 'theirs' }));
+    }
+    header.appendChild(this.button('Merge and commit', 'btn-primary', 'apply'));
+    header.appendChild(this.button('Cancel', 'btn-outline-secondary', 'cancel'));
+
+    const body = el('div', 'merge-view-body');
+    const { chunks } = this.merge;
+    chunks.forEach((chunk, i) => {
+      if (chunk.type === 'same') body.appendChild(this.sameBlock(chunk.lines, i === 0, i === chunks.length - 1));
+      else if (chunk.type === 'merged') body.appendChild(this.mergedBlock(chunk));
+      else body.appendChild(this.conflictBlock(chunk));
+    });
+    if (!chunks.some(c => c.type !== 'same')) body.appendChild(el('div', 'diff-gap', 'Your text is the same as the committed version.'));
+
+    this.host.className = 'merge-view card mb-2';
+    this.host.replaceChildren(header, body);
+    this.renderStatus();
+    if (focused) this.host.querySelector(`[data-key="${focused}"]`)?.focus();
+  }
+
+  renderStatus() {
+    const status = this.host.querySelector('.merge-status');
+    if (status) {
+      status.textContent = `${plural(this.merge.merged, 'change')} merged automatically · ` +
+        (this.conflicts ? `${this.unresolved} of ${plural(this.conflicts, 'conflict')} left` : 'no conflicts');
+    }
+    const apply = this.host.querySelector('button[data-merge-action="apply"]');
+    if (apply) apply.disabled = this.unresolved > 0;
+  }
+
+  button(label, cls, action, data = {}) {
+    const b = el('button', `btn btn-sm ${cls}`, label);
+    b.type = 'button';
+    b.dataset.mergeAction = action;
+    Object.assign(b.dataset, data);
+    b.dataset.key = [action, data.side, data.conflict].filter(v => v != null).join('-');
+    return b;
+  }
+
+  keyOf(node) { return node?.closest?.('[data-key]')?.dataset.key ?? null; }
+
+  /** Unchanged lines, trimmed to a few lines of context next to the changes */
+  sameBlock(lines, first, last) {
+    const head = first ? 0 : this.context, tail = last ? 0 : this.context;
+    const wrap = el('div', 'merge-block');
+    if (lines.length <= head + tail + 1) {
+      wrap.appendChild(el('div', 'merge-same', lines.join('\n')));
+      return wrap;
+    }
+    if (head) wrap.appendChild(el('div', 'merge-same', lines.slice(0, head).join('\n')));
+    wrap.appendChild(el('div', 'diff-gap', `… ${lines.length - head - tail} unchanged lines …`));
+    if (tail) wrap.appendChild(el('div', 'merge-same', lines.slice(lines.length - tail).join('\n')));
+    return wrap;
+  }
+
+  mergedBlock(chunk) {
+    const wrap = el('div', `merge-block merge-auto merge-${chunk.side}`);
+    const label = { mine: 'Your change', theirs: 'Their change', both: 'Same change on both sides' }[chunk.side];
+    wrap.appendChild(el('div', 'merge-label', label));
+    wrap.appendChild(el('div', 'merge-text', chunk.lines.length ? chunk.lines.join('\n') : '(lines removed)'));
+    return wrap;
+  }
+
+  conflictBlock(chunk) {
+    const { index } = chunk;
+    const picked = this.picked.get(index);
+    const wrap = el('div', 'merge-block merge-conflict');
+    wrap.dataset.conflict = index;
+    wrap.classList.toggle('resolved', this.resolved.has(index));
+
+    const bar = el('div', 'd-flex flex-wrap align-items-center gap-1 mb-1');
+    bar.appendChild(el('span', 'merge-label me-auto', `Conflict ${index + 1} of ${this.conflicts}`));
+    for (const [side, label] of [['mine', 'Use mine'], ['theirs', 'Use theirs'], ['both', 'Use both']]) {
+      const b = this.button(label, 'btn-outline-secondary', 'pick', { conflict: index, side });
+      b.setAttribute('aria-pressed', String(picked === side));
+      bar.appendChild(b);
+    }
+    wrap.appendChild(bar);
+
+    const row = el('div', 'diff-row');
+    for (const [side, label] of [['mine', 'Yours'], ['theirs', 'Theirs']]) {
+      const cell = el('div', `diff-cell merge-${side}`);
+      cell.appendChild(el('div', 'merge-label', label));
+      cell.appendChild(el('div', 'merge-text', chunk[side].join('\n') || '(removed)'));
+      row.appendChild(cell);
+    }
+    wrap.appendChild(row);
+
+    if (chunk.base.length) {
+      const details = el('details', 'merge-base');
+      details.appendChild(el('summary', null, 'Original text'));
+      details.appendChild(el('div', 'merge-text', chunk.base.join('\n')));
+      wrap.appendChild(details);
+    }
+
+    const result = el('textarea', 'form-control form-control-sm merge-result');
+    result.dataset.conflict = index;
+    result.dataset.key = `result-${index}`;
+    result.rows = Math.min(12, Math.max(2, chunk.mine.length, chunk.theirs.length));
+    result.placeholder = 'Pick a side above, or type the merged text';
+    result.setAttribute('aria-label', `Result for conflict ${index + 1}`);
+    result.value = this.resolved.get(index) ?? '';
+    wrap.appendChild(result);
+    return wrap;
+  }
+}
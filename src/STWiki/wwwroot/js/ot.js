@@ -0,0 +1,132 @@
+// ot.js  —  ES module
+// Operational transform for concurrent editing of one plain-text document.
+// Operations are CollabPlugin's { type: 'insert'|'delete'|'replace', position, length, text }.
+// Internally a replace is a delete followed by an insert, so everything here works on those two.
+// The server is to order all edits: apply each client batch after transforming it over the batches
+// it accepted since the batch's base revision, ack the sender and relay it to the rest. Ties (two
+// inserts at one position) go to whichever edit the server accepted first. That server side is not
+// written yet (EditorSimple.OnTextOperations acknowledges batches without applying or relaying
+// them), so only tests/js/ot.test.mjs, which simulates it, exercises more than one client.
+
+const insert = (position, text) => ({ type: 'insert', position, length: 0, text });
+const remove = (position, length) => ({ type: 'delete', position, length, text: '' });
+
+/** Split replaces into delete + insert and drop no-ops */
+export function normalize(ops) {
+  const out = [];
+  for (const op of ops) {
+    if (op.length > 0) out.push(remove(op.position, op.length));
+    if (op.text) out.push(insert(op.position, op.text));
+  }
+  return out;
+}
+
+/** Apply operations in order to a string */
+export function applyOps(text, ops) {
+  for (const op of ops) text = text.slice(0, op.position) + op.text + text.slice(op.position + op.length);
+  return text;
+}
+
+/** Rewrite one primitive `a` so it applies after `b`; both were made on the same document */
+function transformOne(a, b, aWins) {
+  const aEnd = a.position + a.length, bEnd = b.position + b.length;
+  if (a.type === 'insert') {
+    if (b.type === 'insert') {
+      return [a.position < b.position || (a.position === b.position && aWins) ? a : insert(a.position + b.text.length, a.text)];
+    }
+    if (a.position <= b.position) return [a];
+    return [insert(a.position >= bEnd ? a.position - b.length : b.position, a.text)]; // inside a deleted range: at its start
+  }
+  if (b.type === 'insert') {
+    if (b.position <= a.position) return [remove(a.position + b.text.length, a.length)];
+    if (b.position >= aEnd) return [a];
+    // text inserted inside the range being deleted survives: delete around it
+    const head = b.position - a.position;
+    return [remove(a.position, head), remove(a.position + b.text.length, a.length - head)];
+  }
+  if (aEnd <= b.position) return [a];
+  if (a.position >= bEnd) return [remove(a.position - b.length, a.length)];
+  const overlap = Math.min(aEnd, bEnd) - Math.max(a.position, b.position);
+  return a.length === overlap ? [] : [remove(Math.min(a.position, b.position), a.length - overlap)];
+}
+
+/**
+ * Transform two concurrent operation lists made on the same document.
+ * @returns {[Array, Array]} [a', b']: a' applies after b, b' applies after a, and both orders give the same text
+ * @param {boolean} aWins - a's inserts go first when both insert at one position
+ */
+export function transform(a, b, aWins) {
+  if (!a.length || !b.length) return [a, b];
+  if (a.length > 1) {
+    const [head, b1] = transform(a.slice(0, 1), b, aWins);
+    const [rest, b2] = transform(a.slice(1), b1, aWins);
+    return [head.concat(rest), b2];
+  }
+  if (b.length > 1) {
+    const [a1, head] = transform(a, b.slice(0, 1), aWins);
+    const [a2, rest] = transform(a1, b.slice(1), aWins);
+    return [a2, head.concat(rest)];
+  }
+  return [transformOne(a[0], b[0], aWins), transformOne(b[0], a[0], !aWins)];
+}
+
+/** Where `index` ends up after ops; text inserted exactly at it goes after it */
+export function transformIndex(index, ops) {
+  for (const op of ops) {
+    if (op.type === 'insert') { if (op.position < index) index += op.text.length; }
+    else if (op.position < index) index -= Math.min(op.length, index - op.position);
+  }
+  return index;
+}
+
+/** Rebase a { start, end } selection over ops */
+export function transformSelection(sel, ops) {
+  const start = transformIndex(sel.start, ops);
+  return { start, end: Math.max(start, transformIndex(sel.end, ops)) };
+}
+
+/**
+ * Client side of the protocol. At most one batch is in flight (outstanding); local edits made while
+ * waiting for its ack collect in buffer and go out together on the ack, based on the new revision.
+ * Server ops are transformed over both before they reach the document, and both over them.
+ */
+export class OTClient {
+  /** @param {Object} opts - { revision, send(revision, ops), apply(ops) to put transformed server ops in the document } */
+  constructor(opts = {}) {
+    this.revision = opts.revision ?? 0; // server revision the document is based on
+    this.send = opts.send || (() => {});
+    this.apply = opts.apply || (() => {});
+    this.outstanding = null; // sent, not yet acknowledged
+    this.buffer = null;      // not sent yet
+  }
+  /** Local ops not yet confirmed by the server, in document order */
+  get pending() { return [...(this.outstanding || []), ...(this.buffer || [])]; }
+  applyLocal(ops) {
+    ops = normalize(ops);
+    if (!ops.length) return;
+    if (this.buffer) this.buffer = this.buffer.concat(ops);
+    else if (this.outstanding) this.buffer = ops;
+    else {
+      this.outstanding = ops;
+      this.send(this.revision, ops);
+    }
+  }
+  serverAck() {
+    if (!this.outstanding) throw new Error('OTClient: acknowledgement without outstanding operations');
+    this.revision++;
+    this.outstanding = this.buffer;
+    this.buffer = null;
+    if (this.outstanding) this.send(this.revision, this.outstanding);
+  }
+  /** Another client's batch, relayed by the server in revision order. Returns it as applied locally. */
+  applyServer(ops) {
+    ops = normalize(ops);
+    if (this.outstanding) [ops, this.outstanding] = transform(ops, this.outstanding, true);
+    if (this.buffer) [ops, this.buffer] = transform(ops, this.buffer, true);
+    this.revision++;
+    this.apply(ops);
+    return ops;
+  }
+  /** Map a remote selection from server coordinates into the local document */
+  transformCursor(sel) { return transformSelection(sel, this.pending); }
+}
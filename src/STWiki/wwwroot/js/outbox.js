@@ -0,0 +1,118 @@
+// outbox.js  —  ES module
+// Durable queue for editor work that could not reach the server while the Blazor circuit was down:
+// collaboration batches and autosaves. Entries are kept in IndexedDB, so they outlive a reload
+// (Blazor reloads the page when it cannot rejoin its circuit), and are replayed oldest first.
+// Without IndexedDB (private browsing, old browsers) the queue still works, in memory only.
+
+import { createStore } from './idb-store.js';
+
+const DB_NAME = 'stwiki-outbox';
+const STORE = 'entries';
+
+const withStore = createStore(DB_NAME, STORE, db => {
+  db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true }).createIndex('key', 'key');
+});
+
+/**
+ * Queue for one page. Entries are { seq, key, kind, at, ...data }; seq gives the replay order.
+ * The memory copy is authoritative for this page load, IndexedDB is the backup that `load()` reads
+ * after a reload.
+ */
+export class Outbox {
+  /** @param {string} key - what the entries belong to, e.g. `page:<id>` */
+  constructor(key) {
+    this.key = key;
+    this.entries = [];
+    this.seq = 0;
+    this.durable = true;
+    this.replaying = null;
+  }
+
+  get size() { return this.entries.length; }
+
+  /** Read entries left by an earlier page load */
+  async load() {
+    try {
+      const saved = await withStore('readonly', s => s.index('key').getAll(this.key));
+      const known = new Set(this.entries.map(e => e.seq));
+      this.entries = this.entries.concat(saved.filter(e => !known.has(e.seq))).sort((a, b) => a.seq - b.seq);
+    } catch (e) {
+      this.fallback(e);
+    }
+    return this.entries;
+  }
+
+  /**
+   * Queue an entry at the end.
+   * @param {string} kind - what replay should do with it
+   * @param {Object} data - stored with the entry
+   * @param {Object} [opts] - { replace: true } drops queued entries of the same kind first (latest wins)
+   */
+  async add(kind, data, { replace = false } = {}) {
+    if (replace) await this.removeWhere(e => e.kind === kind);
+    const entry = { key: this.key, kind, at: Date.now(), ...data };
+    if (this.durable) {
+      try {
+        entry.seq = await withStore('readwrite', s => s.add(entry));
+      } catch (e) {
+        this.fallback(e);
+      }
+    }
+    if (entry.seq == null) entry.seq = Math.max(this.seq, ...this.entries.map(e => e.seq)) + 1;
+    this.seq = entry.seq;
+    this.entries.push(entry);
+    return entry;
+  }
+
+  async remove(entry) { return this.removeWhere(e => e.seq === entry.seq); }
+
+  async removeWhere(test) {
+    const gone = this.entries.filter(test);
+    if (!gone.length) return;
+    this.entries = this.entries.filter(e => !gone.includes(e));
+    if (!this.durable) return;
+    try {
+      await withStore('readwrite', s => { for (const e of gone) s.delete(e.seq); });
+    } catch (e) {
+      this.fallback(e);
+    }
+  }
+
+  async clear() { return this.removeWhere(() => true); }
+
+  /**
+   * Send queued entries oldest first. `send(entry)` resolves to 'sent' or 'conflict', or throws
+   * when the entry could not be delivered. Replay stops at the first entry that was not sent and
+   * leaves it (and everything after it) queued. Concurrent calls share one run.
+   * @returns {Promise<{ sent: number, conflict: Object|null, error: Error|null }>}
+   */
+  replay(send) {
+    if (!this.replaying) {
+      this.replaying = (async () => {
+        const result = { sent: 0, conflict: null, error: null };
+        while (this.entries.length) {
+          const entry = this.entries[0];
+          try {
+            if (await send(entry) === 'conflict') {
+              result.conflict = entry;
+              break;
+            }
+          } catch (e) {
+            result.error = e;
+            break;
+          }
+          await this.remove(entry);
+          result.sent++;
+        }
+        return result;
+      })().finally(() => { this.replaying = null; });
+    }
+    return this.replaying;
+  }
+
+  fallback(error) {
+    if (!this.durable) return;
+    this.durable = false;
+    console.warn('Outbox: IndexedDB unavailable, queued changes are kept in memory only:', error);
+  }
+}
@@ -0,0 +1,93 @@
+// preview-patch.js  —  ES module
+// Incremental preview updates. The preview is a list of top-level block chunks, each in its own
+// wrapper element tagged with its source line range. Unchanged chunks keep their DOM (images stay
+// loaded, <details> stay open, scroll doesn't jump); only chunks whose html changed are rebuilt.
+
+/** Make sure `root` still holds exactly the wrappers we produced last time */
+function owns(root, prev) {
+  return root.children.length === prev.length && prev.every((c, k) => root.children[k] === c.el);
+}
+
+// Block positions in chunk html are offsets from the chunk's first line (renderBlocks in markdown.js);
+// scroll sync and task toggles read absolute data-source-line, which only the live DOM carries
+function tag(el, chunk) {
+  if (el.dataset.sourceLine === String(chunk.line) && el.dataset.sourceEnd === String(chunk.endLine)) return;
+  el.dataset.sourceLine = chunk.line;
+  el.dataset.sourceEnd = chunk.endLine;
+  for (const node of el.querySelectorAll('[data-source-offset]')) {
+    node.dataset.sourceLine = chunk.line + Number(node.dataset.sourceOffset);
+  }
+}
+
+/**
+ * Reconcile `root` from `prev` chunks to `next` chunks ({ line, endLine, html }).
+ * Chunks match on their html, which holds no absolute positions (renderBlocks writes offsets from
+ * the block's first line), so edits above a block only retag it with its new range; see
+ * tests/js/preview-patch.test.mjs.
+ * Reused chunks keep any fields `build` stored on them (e.g. sanitizer reports).
+ * @param {Object} opts - { build(chunk) -> html|Promise<html> for changed chunks (default: chunk.html),
+ *                          isStale() -> true to abandon the patch before the DOM is touched }
+ * @returns {Promise<{ chunks, changed: HTMLElement[] } | null>} null when abandoned as stale
+ */
+export async function patchBlocks(root, prev, next, opts = {}) {
+  const build = opts.build || ((chunk) => chunk.html);
+  if (!owns(root, prev)) { // someone else wrote into the preview (placeholder, error, first paint)
+    root.innerHTML = '';
+    prev = [];
+  }
+
+  let head = 0;
+  while (head < prev.length && head < next.length && prev[head].html === next[head].html) head++;
+  let tail = 0;
+  while (tail < prev.length - head && tail < next.length - head
+    && prev[prev.length - 1 - tail].html === next[next.length - 1 - tail].html) tail++;
+
+  // in the middle run, blocks that merely moved (several edits in one render) are reused too
+  const spare = new Map();
+  for (const old of prev.slice(head, prev.length - tail)) {
+    if (!spare.has(old.html)) spare.set(old.html, []);
+    spare.get(old.html).push(old);
+  }
+  const middle = next.slice(head, next.length - tail).map(chunk => {
+    const old = spare.get(chunk.html)?.shift();
+    return old ? { ...old, ...chunk } : { ...chunk, el: null };
+  });
+  const fresh = middle.filter(chunk => !chunk.el);
+  const built = await Promise.all(fresh.map(chunk => build(chunk)));
+  if (opts.isStale?.()) return null;
+
+  for (const olds of spare.values()) olds.forEach(old => old.el.remove());
+  const anchor = tail ? prev[prev.length - tail].el : null;
+  const changed = [];
+  for (const chunk of middle) {
+    if (!chunk.el) {
+      chunk.el = document.createElement('div');
+      chunk.el.className = 'preview-block';
+      chunk.el.innerHTML = built[fresh.indexOf(chunk)];
+      changed.push(chunk.el);
+    }
+    root.insertBefore(chunk.el, anchor);
+  }
+
+  const chunks = [
+    ...next.slice(0, head).map((chunk, k) => ({ ...prev[k], ...chunk })),
+    ...middle,
+    ...next.slice(next.length - tail).map((chunk, k) => ({ ...prev[prev.length - tail + k], ...chunk })),
+  ];
+
+  for (const chunk of chunks) tag(chunk.el, chunk);
+  return { chunks, changed };
+}
+
+/** Syntax-highlight only the code blocks inside freshly patched chunks */
+export function highlightChanged(changed) {
+  if (!window.Prism?.highlightElement) return;
+  for (const el of changed) {
+    for (const block of el.querySelectorAll('pre code[class*="language-"]')) {
+      try { window.Prism.highlightElement(block); } catch {}
+    }
+  }
+}
+
+// classic scripts (editor-enhanced.js) reach the patcher through this global
+window.STWikiPreviewPatch = { patchBlocks, highlightChanged };
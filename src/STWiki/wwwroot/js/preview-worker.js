@@ -0,0 +1,16 @@
+// preview-worker.js  —  module Worker
+// Runs the markdown pipeline off the main thread for PreviewPlugin.
+// Protocol: { type:'render', id, format, text, options } -> { type:'rendered', id, blocks } | { type:'error', id, error }
+// where blocks are [{ line, endLine, html }] top-level chunks (see renderBlocks)
+
+import { parse, renderBlocks } from './markdown.js';
+
+self.addEventListener('message', (e) => {
+  const { type, id, text, options } = e.data || {};
+  if (type !== 'render') return;
+  try {
+    self.postMessage({ type:'rendered', id, blocks: renderBlocks(parse(text), options) });
+  } catch (err) {
+    self.postMessage({ type:'error', id, error: String(err?.message || err) });
+  }
+});
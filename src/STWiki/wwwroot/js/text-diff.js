@@ -0,0 +1,230 @@
+// text-diff.js  —  ES module
+// Client-side text diffs for the editor: line diffs for quick summaries, and word-level diffs
+// in the same spirit as the server's WordLevelDiff (lines first, then words inside changed lines)
+// split into hunks that can be accepted or rejected one by one, and a three-way line merge for
+// commits that raced another one.
+
+/**
+ * Longest-common-subsequence diff of two arrays. Common head and tail are matched first, as
+ * they are usually most of a document; a middle larger than maxCells falls back to "all changed".
+ * Deletions come before the insertions that replace them.
+ * @returns {Array<{ type: 'same'|'del'|'add', value }>}
+ */
+export function diffArrays(a, b, maxCells = 4e6) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const x = a.slice(head, a.length - tail), y = b.slice(head, b.length - tail);
+
+  const out = a.slice(0, head).map(value => ({ type: 'same', value }));
+  if (x.length * y.length > maxCells) {
+    x.forEach(value => out.push({ type: 'del', value }));
+    y.forEach(value => out.push({ type: 'add', value }));
+  } else {
+    // lcs[i][j] = length of the LCS of x[i..] and y[j..]
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+      for (let j = y.length - 1; j >= 0; j--) {
+        lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < x.length || j < y.length) {
+      if (i < x.length && j < y.length && x[i] === y[j]) { out.push({ type: 'same', value: x[i] }); i++; j++; }
+      else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) out.push({ type: 'del', value: x[i++] });
+      else out.push({ type: 'add', value: y[j++] });
+    }
+  }
+  a.slice(a.length - tail).forEach(value => out.push({ type: 'same', value }));
+  return out;
+}
+
+/** @returns {Array<{ type: 'same'|'add'|'del', text: string }>} one entry per line */
+export function diffLines(before, after, maxCells) {
+  return diffArrays(before.split('\n'), after.split('\n'), maxCells).map(({ type, value }) => ({ type, text: value }));
+}
+
+// Words, whitespace runs and single punctuation marks; joined back they give the input exactly
+const TOKEN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+const isBlank = (s) => !/\S/.test(s);
+
+/**
+ * Word-level diff of two short texts, as runs of same/del/add text. Whitespace left unchanged
+ * between two changes is folded into them, so "foo bar" → "baz qux" is one change, not two.
+ * @returns {Array<{ type: 'same'|'del'|'add', text: string }>}
+ */
+export function diffWords(before, after) {
+  const ops = diffArrays(before.match(TOKEN) || [], after.match(TOKEN) || []);
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+  for (let k = 0; k < ops.length; k++) {
+    const { type, value } = ops[k];
+    const between = type === 'same' && isBlank(value) && !value.includes('\n')
+      && ops[k - 1] && ops[k - 1].type !== 'same' && ops[k + 1] && ops[k + 1].type !== 'same';
+    if (between) {
+      push('del', value);
+      push('add', value);
+    } else {
+      push(type, value);
+    }
+  }
+  // folding can leave del/add/del/add; keep each change as one deletion then one insertion
+  const merged = [];
+  for (const run of runs) {
+    const change = merged[merged.length - 1];
+    if (run.type === 'same' || !change || change.type === 'same') merged.push(run.type === 'same' ? run : { type: 'change', del: '', add: '', [run.type]: run.text });
+    else change[run.type] += run.text;
+  }
+  return merged.flatMap(r => r.type === 'same' ? [r] : [r.del && { type: 'del', text: r.del }, r.add && { type: 'add', text: r.add }].filter(Boolean));
+}
+
+/**
+ * Word-level diff of two documents, grouped for review. Unchanged lines form 'same' blocks;
+ * each run of changed lines is a 'change' block holding word-level segments. Every maximal run
+ * of deleted/added segments is a hunk with a document-wide index.
+ * @returns {{ blocks: Array, hunks: Array<{ index, del, add }>, added: number, deleted: number }}
+ *   blocks: { type: 'same', text } | { type: 'change', segments: [{ type: 'same', text } | { type: 'hunk', hunk }] }
+ */
+export function diffBlocks(before, after) {
+  const lines = (s) => s.match(/[^\n]*\n|[^\n]+$/g) || [];
+  const hunks = [];
+  const blocks = [];
+  let added = 0, deleted = 0;
+  let pendingDel = '', pendingAdd = '';
+
+  const words = (s) => (s.match(TOKEN) || []).filter(t => !isBlank(t)).length;
+  const flushChange = () => {
+    if (!pendingDel && !pendingAdd) return;
+    const segments = [];
+    let hunk = null;
+    for (const { type, text } of diffWords(pendingDel, pendingAdd)) {
+      if (type === 'same') {
+        hunk = null;
+        segments.push({ type: 'same', text });
+        continue;
+      }
+      if (!hunk) {
+        hunk = { index: hunks.length, del: '', add: '' };
+        hunks.push(hunk);
+        segments.push({ type: 'hunk', hunk });
+      }
+      hunk[type] += text;
+      if (type === 'add') added += words(text);
+      else deleted += words(text);
+    }
+    blocks.push({ type: 'change', segments });
+    pendingDel = pendingAdd = '';
+  };
+
+  for (const { type, value } of diffArrays(lines(before), lines(after))) {
+    if (type === 'same') {
+      flushChange();
+      const last = blocks[blocks.length - 1];
+      if (last?.type === 'same') last.text += value;
+      else blocks.push({ type: 'same', text: value });
+    } else if (type === 'del') {
+      pendingDel += value;
+    } else {
+      pendingAdd += value;
+    }
+  }
+  flushChange();
+  return { blocks, hunks, added, deleted };
+}
+
+/**
+ * Rebuild a document from diffBlocks output.
+ * @param {(hunk) => boolean} keep - true keeps the hunk's new text, false its old text
+ */
+export function applyHunks(blocks, keep) {
+  let text = '';
+  for (const block of blocks) {
+    if (block.type === 'same') { text += block.text; continue; }
+    for (const seg of block.segments) text += seg.type === 'same' ? seg.text : (keep(seg.hunk) ? seg.hunk.add : seg.hunk.del);
+  }
+  return text;
+}
+
+// Line ranges of `base` that `other` replaces: { start, end (exclusive), lines }
+function lineChanges(base, other) {
+  const changes = [];
+  let i = 0, change = null;
+  for (const { type, value } of diffArrays(base, other)) {
+    if (type === 'same') { change = null; i++; continue; }
+    if (!change) changes.push(change = { start: i, end: i, lines: [] });
+    if (type === 'del') change.end = ++i;
+    else change.lines.push(value);
+  }
+  return changes;
+}
+
+/**
+ * Three-way line merge of two edits of the same base text. Changes from one side only are taken
+ * as they are; changes from both sides that touch the same or adjacent base lines are a conflict
+ * unless both made the same edit.
+ * @returns {{ chunks: Array, conflicts: number, merged: number }}
+ *   chunks: { type: 'same', lines } | { type: 'merged', side: 'mine'|'theirs'|'both', lines }
+ *         | { type: 'conflict', index, base, mine, theirs } (each an array of lines)
+ */
+export function merge3(base, mine, theirs) {
+  const b = base.split('\n');
+  const changes = [
+    ...lineChanges(b, mine.split('\n')).map(c => ({ ...c, side: 'mine' })),
+    ...lineChanges(b, theirs.split('\n')).map(c => ({ ...c, side: 'theirs' }))
+  ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+  const chunks = [];
+  let pos = 0, conflicts = 0, merged = 0;
+  for (let k = 0; k < changes.length;) {
+    const group = [changes[k++]];
+    let end = group[0].end;
+    // a side's own changes never touch each other, so anything joining here comes from the other side
+    while (k < changes.length && changes[k].start <= end) {
+      end = Math.max(end, changes[k].end);
+      group.push(changes[k++]);
+    }
+    const start = group[0].start;
+    if (start > pos) chunks.push({ type: 'same', lines: b.slice(pos, start) });
+    pos = end;
+
+    // each side's version of base lines start..end
+    const version = (side) => {
+      const out = [];
+      let at = start;
+      for (const c of group.filter(c => c.side === side)) {
+        out.push(...b.slice(at, c.start), ...c.lines);
+        at = c.end;
+      }
+      return out.concat(b.slice(at, end));
+    };
+    const sides = new Set(group.map(c => c.side));
+    if (sides.size === 1) {
+      const [side] = sides;
+      chunks.push({ type: 'merged', side, lines: version(side) });
+      merged++;
+      continue;
+    }
+    const ours = version('mine'), other = version('theirs');
+    if (ours.join('\n') === other.join('\n')) {
+      chunks.push({ type: 'merged', side: 'both', lines: ours });
+      merged++;
+    } else {
+      chunks.push({ type: 'conflict', index: conflicts++, base: b.slice(start, end), mine: ours, theirs: other });
+    }
+  }
+  if (pos < b.length) chunks.push({ type: 'same', lines: b.slice(pos) });
+  return { chunks, conflicts, merged };
+}
+
+/**
+ * Rebuild the document from merge3 output.
+ * @param {(conflict) => string} resolve - the text that replaces a conflict
+ */
+export function resolveMerge(chunks, resolve) {
+  return chunks.flatMap(c => c.type === 'conflict' ? resolve(c).split('\n') : c.lines).join('\n');
+}
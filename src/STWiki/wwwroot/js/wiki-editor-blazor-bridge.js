@@ -4,13 +4,22 @@
 
 import { 
     mountById, 
+    HistoryPlugin,
     PreviewPlugin, 
+    ScrollSyncPlugin,
     StatsPlugin, 
     FormattingPlugin, 
     AutocompletePlugin, 
     DragDropPlugin,
-    CollabPlugin 
+    CollabPlugin,
+    PresencePlugin
 } from './wiki-editor.js';
+import { Outbox } from './outbox.js';
+import { DraftBackup } from './draft-backup.js';
+import { diffLines } from './text-diff.js';
+import { DiffView } from './diff-view.js';
+import { MergeView } from './merge-view.js';
+import { DirtyStatePlugin, contentHash } from './dirty-state.js';
 
 // Global registry for editors (for Blazor interop)
 window.wikiEditors = new Map();
@@ -45,42 +54,6 @@ window.initWikiEditor = function(containerId, initialContent, format, dotNetRef)
             esc(s) { return s.replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
         }
 
-        // Enhanced AutocompletePlugin with STWiki API endpoints
-        class STWikiAutocompletePlugin extends AutocompletePlugin {
-            constructor(editor) {
-                super(editor, {
-                    fetchPages: async () => {
-                        try {
-                            const response = await fetch('/api/pages/suggestions');
-                            const items = await response.json();
-                            return items.map(x => ({ 
-                                value: x.name || x.title, 
-                                title: x.title || x.name, 
-                                sub: x.path || '' 
-                            }));
-                        } catch (e) {
-                            console.warn('Failed to fetch page suggestions:', e);
-                            return [];
-                        }
-                    },
-                    fetchMedia: async () => {
-                        try {
-                            const response = await fetch('/api/media/suggestions');
-                            const items = await response.json();
-                            return items.map(x => ({ 
-                                value: x.filename, 
-                                title: x.filename, 
-                                sub: x.size ? `${x.size}B` : '' 
-                            }));
-                        } catch (e) {
-                            console.warn('Failed to fetch media suggestions:', e);
-                            return [];
-                        }
-                    }
-                });
-            }
-        }
-
         // Enhanced DragDropPlugin - now uses modal integration instead of direct upload
         class STWikiDragDropPlugin extends DragDropPlugin {
             constructor(editor) {
@@ -100,60 +73,38 @@ window.initWikiEditor = function(containerId, initialContent, format, dotNetRef)
                         }
                         
                         const result = await response.json();
+                        document.dispatchEvent(new CustomEvent('stwiki:media-changed', { detail: { action: 'uploaded', id: result.id } }));
                         return { fileName: result.fileName || file.name };
                     }
                 });
             }
         }
 
+        const offline = createOfflineQueue(container, dotNetRef);
+
         // Enhanced CollabPlugin that bridges to Blazor SignalR
         class STWikiCollabPlugin extends CollabPlugin {
             constructor(editor, dotNetRef) {
                 super(editor, {
-                    send: (operation) => {
-                        // Bridge to existing Blazor collaboration system
-                        console.log(`📡 [V2] Sending operation via Blazor:`, operation);
-                        
-                        // Convert to format expected by existing system
-                        if (dotNetRef) {
-                            try {
-                                switch(operation.type) {
-                                    case 'insert':
-                                        dotNetRef.invokeMethodAsync('OnTextChange', this.editor.value, operation.position, 'insert', operation.content || operation.text || '');
-                                        break;
-                                    case 'delete':
-                                        dotNetRef.invokeMethodAsync('OnTextChange', this.editor.value, operation.position, 'delete', '');
-                                        break;
-                                    case 'replace':
-                                        dotNetRef.invokeMethodAsync('OnTextReplace', operation.selectionStart || operation.start, operation.selectionEnd || operation.end, operation.content || operation.text || '');
-                                        break;
-                                    case 'set':
-                                        // Treat as replace operation for full content updates
-                                        dotNetRef.invokeMethodAsync('OnTextReplace', 0, this.lastValue?.length || 0, operation.value || this.editor.value);
-                                        break;
-                                }
-                            } catch (e) {
-                                console.error('Failed to send operation to Blazor:', e);
-                            }
+                    // { baseVersion, ops: [{ type, position, length, text }] }, one batch in flight at a time;
+                    // the call completing is the server's acknowledgement. While the circuit is down the
+                    // batch waits in the outbox and is acknowledged when it is replayed; a call that fails
+                    // while it is up goes there too and is retried with backoff.
+                    send: (batch) => {
+                        if (!dotNetRef) return;
+                        if (!offline.connected) {
+                            offline.queueOperations(batch);
+                            return;
                         }
+                        dotNetRef.invokeMethodAsync('OnTextOperations', batch.baseVersion, batch.ops)
+                            .then(() => this.ack())
+                            .catch(e => {
+                                console.error('Failed to send operations to Blazor:', e);
+                                offline.sendFailed(batch, e);
+                            });
                     }
                 });
                 this.dotNetRef = dotNetRef;
-                this.lastValue = editor.value;
-            }
-            
-            onInput(e, v) {
-                if (this.editor.state.isRemote) return;
-                
-                // For now, send as full content replacement 
-                // TODO: Implement proper diff detection for granular operations
-                const cursorPos = this.editor.textarea.selectionStart;
-                this.send({ 
-                    type: 'set', 
-                    value: v, 
-                    position: cursorPos 
-                });
-                this.lastValue = v;
             }
         }
 
@@ -162,13 +113,20 @@ window.initWikiEditor = function(containerId, initialContent, format, dotNetRef)
             initialContent,
             format,
             plugins: [
+                HistoryPlugin,
                 WikiPreviewPlugin,
+                ScrollSyncPlugin,
                 StatsPlugin,
                 FormattingPlugin,
-                STWikiAutocompletePlugin,
+                AutocompletePlugin, // queries /api/wiki/suggest and /api/media/suggest
                 STWikiDragDropPlugin,
                 class extends STWikiCollabPlugin {
                     constructor(editor) { super(editor, dotNetRef); }
+                },
+                PresencePlugin, // other users' carets, fed by updateRemoteCursor below
+                class extends DirtyStatePlugin {
+                    // the page renders the committed text alongside when it opened a draft
+                    constructor(editor) { super(editor, { committed: document.getElementById('committed-body')?.value }); }
                 }
             ]
         });
@@ -176,8 +134,13 @@ window.initWikiEditor = function(containerId, initialContent, format, dotNetRef)
         // Store editor reference for later cleanup
         window.wikiEditors.set(containerId, {
             editor,
-            dotNetRef
+            dotNetRef,
+            offline,
+            backup: createDraftBackup(container, editor),
+            unregister: registerEditor(containerId, editor, dotNetRef)
         });
+        offline.start(editor);
+        openFormConflict(containerId);
 
         console.log(`✅ [V2] Modular editor initialized successfully for ${containerId}`);
         return true;
@@ -188,6 +151,37 @@ window.initWikiEditor = function(containerId, initialContent, format, dotNetRef)
     }
 };
 
+// Page scripts reach the editor through the registry (editor-registry.js)
+function registerEditor(containerId, editor, dotNetRef) {
+    return window.STWiki?.editors.register({
+        id: containerId,
+        kind: 'wiki',
+        container: editor.container,
+        textarea: editor.textarea,
+        componentRef: dotNetRef,
+        getValue: () => editor.value,
+        setValue: (text) => replaceEditorText(editor, text),
+        reset: (text) => {
+            // a new starting point, not an edit to send to collaborators
+            editor.state.isRemote = true;
+            editor.value = text;
+            editor.state.isRemote = false;
+        },
+        setFormat: (format) => {
+            editor.setFormat(format);
+            editor.container.dataset.format = editor.format;
+        }
+    });
+}
+
+// Replace the whole text as one edit, so history, collaboration and autosave all see it
+function replaceEditorText(editor, text) {
+    const ta = editor.textarea;
+    if (text === ta.value) return;
+    ta.setRangeText(text, 0, ta.value.length, 'start');
+    ta.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
 // Get editor content (replacement for getEnhancedEditorContent)
 window.getWikiEditorContent = function(containerId) {
     const editorData = window.wikiEditors.get(containerId);
@@ -212,11 +206,118 @@ window.setWikiEditorContent = function(containerId, content) {
     return false;
 };
 
+// Review the editor's draft against the committed text, keeping or reverting each change.
+// The textarea is read-only while the review is open so the diff cannot go stale underneath it;
+// the outcome goes in as a single edit, so it can be undone. Returns false when there is nothing
+// to review (no such editor, or the draft is the committed text).
+window.showDraftDiff = function(containerId, committed, { onApply, onClose } = {}) {
+    const editorData = window.wikiEditors.get(containerId);
+    const host = editorData?.editor?.container.querySelector('[data-role="draft-diff"]');
+    if (!host) {
+        console.warn(`⚠️ [V2] No draft diff view for ${containerId}`);
+        return false;
+    }
+    const editor = editorData.editor;
+    const ta = editor.textarea;
+    const before = committed.replace(/\r\n?/g, '\n');
+    if (before === editor.value) return false;
+
+    editorData.diffView?.close();
+    ta.readOnly = true;
+    editorData.diffView = new DiffView(host, {
+        before,
+        after: editor.value,
+        onApply: (text) => {
+            ta.readOnly = false;
+            replaceEditorText(editor, text);
+            ta.focus();
+            onApply?.(text);
+        },
+        onClose: () => {
+            ta.readOnly = false;
+            editorData.diffView = null;
+            onClose?.();
+        }
+    });
+    host.scrollIntoView({ block: 'nearest' });
+    return true;
+};
+
+// A commit that raced someone else's: the server refused it and sent back the revision the editor
+// started from (base), the page as committed since (theirs) and its latest revision id. Your side
+// is the editor as it is now, which may be ahead of what was sent. Changes only one side made are
+// merged straight away and the rest are resolved in the merge view (merge-view.js); the outcome
+// goes in as a single, undoable edit and onApply retries the commit against the new revision. By
+// default that is EditorSimple's commit.
+window.showMergeConflict = function(containerId, conflict, { onApply, onClose } = {}) {
+    const editorData = window.wikiEditors.get(containerId);
+    const host = editorData?.editor?.container.querySelector('[data-role="merge-view"]');
+    if (!host) {
+        console.warn(`⚠️ [V2] No merge view for ${containerId}`);
+        return false;
+    }
+    const editor = editorData.editor;
+    const ta = editor.textarea;
+    const normalize = (text) => (text ?? '').replace(/\r\n?/g, '\n');
+    const retry = onApply ?? (() => editorData.dotNetRef?.invokeMethodAsync('HandleMergedCommit', conflict.latestRevisionId));
+
+    editorData.diffView?.close();
+    editorData.mergeView?.close();
+    ta.readOnly = true;
+    editorData.mergeView = new MergeView(host, {
+        base: normalize(conflict.base),
+        mine: editor.value,
+        theirs: normalize(conflict.theirs),
+        updatedBy: conflict.updatedBy,
+        onApply: (text) => {
+            ta.readOnly = false;
+            replaceEditorText(editor, text);
+            retry(text);
+        },
+        onClose: () => {
+            ta.readOnly = false;
+            editorData.mergeView = null;
+            onClose?.();
+        }
+    });
+    host.scrollIntoView({ block: 'nearest' });
+    return true;
+};
+
+// The page form was posted against an older revision and came back with the submitted text in the
+// editor and what was committed meanwhile alongside (#edit-conflict). Merge, move the form's base
+// revision on and post it again.
+function openFormConflict(containerId) {
+    const conflict = document.getElementById('edit-conflict');
+    if (!conflict || conflict.dataset.opened) return;
+    conflict.dataset.opened = 'true';
+    const latestRevisionId = conflict.dataset.latestRevisionId;
+    window.showMergeConflict(containerId, {
+        base: document.getElementById('conflict-base')?.value,
+        theirs: document.getElementById('conflict-theirs')?.value,
+        latestRevisionId,
+        updatedBy: conflict.dataset.updatedBy
+    }, {
+        onApply: () => {
+            const form = document.getElementById('edit-form');
+            const base = form?.querySelector('input[name="BaseRevisionId"]');
+            if (!form || !base) return;
+            base.value = latestRevisionId;
+            form.requestSubmit();
+        }
+    });
+}
+
 // Destroy editor (replacement for destroyEnhancedEditor)
 window.destroyWikiEditor = function(containerId) {
     const editorData = window.wikiEditors.get(containerId);
     if (editorData?.editor) {
         editorData.editor.destroy();
+        editorData.offline?.destroy();
+        editorData.backup?.destroy();
+        editorData.diffView?.close();
+        editorData.mergeView?.close();
+        editorData.unregister?.();
         window.wikiEditors.delete(containerId);
         console.log(`🗑️ [V2] Editor destroyed: ${containerId}`);
         return true;
@@ -280,131 +381,443 @@ window.insertMarkdown = function(before, after) {
     // TODO: Apply to currently focused editor
 };
 
-window.markContentAsCommitted = function() {
-    console.log(`✅ [V2] Content marked as committed`);
+// Autosave and commit results, from EditorSimple; `hash` is contentHash of the text the server
+// received (dirty-state.js). Without one the current text counts, as for the page form's submit.
+// Commits are passed on to the registry's onCommit listeners with the revision they created.
+window.markContentAsSaved = function(hash) {
+    window.wikiEditors.forEach(data => data.editor?.dirty?.autosaved(hash || undefined));
 };
 
-window.applyInsertOperation = function(editorId, position, content) {
-    const containerId = `editor-container-${editorId}`;
-    const editorData = window.wikiEditors.get(containerId);
-    if (editorData?.editor) {
-        const textarea = editorData.editor.textarea;
-        
-        // Save cursor position before applying remote operation
-        const wasFocused = document.activeElement === textarea;
-        const savedSelectionStart = textarea.selectionStart;
-        const savedSelectionEnd = textarea.selectionEnd;
-        
-        editorData.editor.state.isRemote = true;
-        
-        // Apply insert operation
-        textarea.setRangeText(content, position, position, 'preserve');
-        
-        // Restore cursor position only if this editor was focused
-        if (wasFocused) {
-            let newStart = savedSelectionStart;
-            let newEnd = savedSelectionEnd;
-            
-            // If cursor was at or after insert position, adjust for inserted content
-            if (savedSelectionStart >= position) {
-                newStart = savedSelectionStart + content.length;
-                newEnd = savedSelectionEnd + content.length;
-            }
-            
-            textarea.setSelectionRange(newStart, newEnd);
-        }
-        
-        editorData.editor.onInput(new Event('input'));
-        editorData.editor.state.isRemote = false;
-        
-        console.log(`➕ [V2] Applied insert operation: position ${position}, content "${content}", cursor preserved at ${savedSelectionStart}-${savedSelectionEnd}`);
+window.markContentAsCommitted = function(committedAt, hash, revisionId) {
+    console.log(`✅ [V2] Content marked as committed`);
+    window.wikiEditors.forEach(data => data.editor?.dirty?.committed(hash || undefined));
+    // Offline autosaves are checked against the latest commit, which is now ours
+    if (committedAt) {
+        document.querySelectorAll('.editor-container[data-page-id]').forEach(el => {
+            el.dataset.committedAt = committedAt;
+        });
+    }
+    // New local backups are based on the revision just committed
+    if (revisionId != null) {
+        document.querySelectorAll('.editor-container[data-page-id]').forEach(el => {
+            el.dataset.baseRevisionId = revisionId;
+        });
     }
+    // The server has everything now; local backups would only offer stale copies
+    window.wikiEditors.forEach(data => data.backup?.committed());
+    window.STWiki?.editors.committed({ committedAt, revisionId });
 };
 
-window.applyDeleteOperation = function(editorId, position, length) {
-    const containerId = `editor-container-${editorId}`;
-    const editorData = window.wikiEditors.get(containerId);
-    if (editorData?.editor) {
-        const textarea = editorData.editor.textarea;
-        
-        // Save cursor position before applying remote operation
-        const wasFocused = document.activeElement === textarea;
-        const savedSelectionStart = textarea.selectionStart;
-        const savedSelectionEnd = textarea.selectionEnd;
-        
-        editorData.editor.state.isRemote = true;
-        
-        // Apply delete operation
-        textarea.setRangeText('', position, position + length, 'preserve');
-        
-        // Restore cursor position only if this editor was focused
-        if (wasFocused) {
-            let newStart = savedSelectionStart;
-            let newEnd = savedSelectionEnd;
-            
-            // If cursor was after the deleted range, adjust for deleted content
-            if (savedSelectionStart >= position + length) {
-                newStart = savedSelectionStart - length;
-                newEnd = savedSelectionEnd - length;
+// Offline outbox. While the Blazor circuit is down (window.blazorConnection from
+// blazor-diagnostics.js), collaboration batches and the latest autosave go to an IndexedDB outbox
+// instead of being lost. When the circuit comes back they are replayed oldest first: batches
+// through OnTextOperations, autosaves straight to the autosave endpoint with the commit time the
+// editor is based on, so a page committed by someone else meanwhile comes back as a 409 conflict
+// rather than being overlaid by a stale draft. The banner shows where things stand.
+const NEW_PAGE_ID = '00000000-0000-0000-0000-000000000000';
+
+// A batch that could not be sent while the circuit was up is retried on its own, backing off:
+// collaboration sends nothing more until that batch is acknowledged
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+function createOfflineQueue(container, dotNetRef) {
+    const pageId = container.dataset.pageId;
+    const canAutosave = !!pageId && pageId !== NEW_PAGE_ID;
+    const outbox = new Outbox(`page:${pageId || container.id}`);
+    const banner = container.querySelector('[data-role="connection-banner"]');
+    // Batches only make sense to the collaboration state of the page load that made them
+    const session = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const ac = new AbortController();
+    let editor = null;
+    let autosaveTimer = null;
+    let hideTimer = null;
+    let retryTimer = null;
+    let failures = 0;
+
+    const queue = {
+        connected: window.blazorConnection?.connected ?? true,
+        outbox,
+
+        queueOperations(batch) {
+            return outbox.add('ops', { session, baseVersion: batch.baseVersion, ops: batch.ops })
+                .then(() => queue.render());
+        },
+
+        // OnTextOperations failed although the circuit is up (a hub error, say)
+        sendFailed(batch, error) {
+            queue.queueOperations(batch).then(() => queue.retryLater(error));
+        },
+
+        retryLater(error) {
+            clearTimeout(retryTimer);
+            const delay = Math.min(RETRY_MIN_MS * 2 ** failures++, RETRY_MAX_MS);
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                queue.replay();
+            }, delay);
+            queue.render('error', error);
+        },
+
+        // Latest content wins; debounced so typing offline does not write IndexedDB on every key
+        queueAutosave() {
+            if (!canAutosave || !editor) return;
+            clearTimeout(autosaveTimer);
+            autosaveTimer = setTimeout(() => {
+                outbox.add('autosave', { content: editor.value, basePageUpdatedAt: container.dataset.committedAt || null }, { replace: true })
+                    .then(() => queue.render());
+            }, 500);
+        },
+
+        async start(ed) {
+            editor = ed;
+            const unsubscribe = window.blazorConnection?.subscribe(({ connected }) => {
+                if (connected !== queue.connected) queue.setConnected(connected);
+            });
+            if (unsubscribe) ac.signal.addEventListener('abort', unsubscribe);
+            ed.textarea.addEventListener('input', () => { if (!queue.connected) queue.queueAutosave(); }, { signal: ac.signal });
+            await outbox.load();
+            // Batches from an earlier page load cannot be acknowledged any more; their text is in
+            // that load's queued autosave
+            await outbox.removeWhere(e => e.kind === 'ops' && e.session !== session);
+            if (outbox.size && queue.connected) queue.replay();
+            else queue.render();
+        },
+
+        setConnected(connected) {
+            queue.connected = connected;
+            if (!connected) {
+                // coming back replays everything anyway
+                clearTimeout(retryTimer);
+                retryTimer = null;
+                queue.render();
+                return;
             }
-            // If cursor was within the deleted range, place at delete position
-            else if (savedSelectionStart >= position) {
-                newStart = newEnd = position;
+            // Anything typed since the last queued autosave goes out with the replay too
+            if (autosaveTimer) {
+                clearTimeout(autosaveTimer);
+                autosaveTimer = null;
+                if (canAutosave && editor) {
+                    outbox.add('autosave', { content: editor.value, basePageUpdatedAt: container.dataset.committedAt || null }, { replace: true })
+                        .then(() => queue.replay());
+                    return;
+                }
             }
-            // If cursor was before delete position, no adjustment needed
-            
-            textarea.setSelectionRange(newStart, newEnd);
+            queue.replay();
+        },
+
+        async replay({ force = false } = {}) {
+            clearTimeout(retryTimer);
+            retryTimer = null;
+            if (!outbox.size) {
+                queue.render();
+                return;
+            }
+            queue.render('replaying');
+            const result = await outbox.replay(entry => queue.send(entry, force));
+            if (result.conflict) queue.render('conflict', result.conflict);
+            else if (result.error && queue.connected) queue.retryLater(result.error);
+            else if (result.error) queue.render('error', result.error);
+            else {
+                const retried = failures > 0;
+                failures = 0;
+                queue.render(result.sent ? 'saved' : null, { retried });
+            }
+        },
+
+        async send(entry, force) {
+            if (!queue.connected) throw new Error('Connection lost');
+            if (entry.kind === 'ops') {
+                if (!dotNetRef) return 'sent';
+                await dotNetRef.invokeMethodAsync('OnTextOperations', entry.baseVersion, entry.ops);
+                editor?.collab?.ack();
+                return 'sent';
+            }
+            const response = await fetch(`/api/wiki/${pageId}/autosave`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content: entry.content, basePageUpdatedAt: force ? null : entry.basePageUpdatedAt })
+            });
+            if (response.status === 409) {
+                entry.conflict = await response.json().catch(() => ({}));
+                return 'conflict';
+            }
+            // An expired login redirects to the sign-in page, which fetch follows to a 200
+            if (!response.ok || response.redirected) throw new Error(`Autosave failed: ${response.status}`);
+            editor?.dirty?.autosaved(contentHash(entry.content));
+            return 'sent';
+        },
+
+        // Keep this device's version as the draft even though the page changed underneath it
+        saveAnyway() { queue.replay({ force: true }); },
+
+        // Drop it and load the page as it is now
+        async discard() {
+            await outbox.removeWhere(e => e.kind === 'autosave');
+            location.reload();
+        },
+
+        render(state = null, detail = null) {
+            if (!banner) return;
+            clearTimeout(hideTimer);
+            if (!state) state = !queue.connected ? 'offline' : null;
+            if (!state) {
+                banner.classList.add('d-none');
+                return;
+            }
+
+            const pending = outbox.size;
+            const count = pending === 1 ? '1 change' : `${pending} changes`;
+            const tone = { offline: 'warning', replaying: 'info', saved: 'success', conflict: 'danger', error: 'danger' }[state];
+            banner.className = `alert alert-${tone} connection-banner d-flex align-items-center gap-2 py-1 px-2 mb-2 small`;
+            banner.dataset.state = state;
+            banner.replaceChildren();
+            const text = document.createElement('span');
+            text.className = 'me-auto';
+            banner.appendChild(text);
+            const button = (label, onClick, cls = 'btn-outline-secondary') => {
+                const b = document.createElement('button');
+                b.type = 'button';
+                b.className = `btn btn-sm ${cls} py-0`;
+                b.textContent = label;
+                b.addEventListener('click', onClick);
+                banner.appendChild(b);
+            };
+
+            switch (state) {
+                case 'offline':
+                    text.textContent = pending
+                        ? `Connection lost. ${count} kept on this device, sent when the connection is back.`
+                        : 'Connection lost. Keep editing; your changes will be sent when the connection is back.';
+                    break;
+                case 'replaying':
+                    text.textContent = failures ? `Sending ${count} again…` : `Reconnected. Sending ${count} made offline…`;
+                    break;
+                case 'saved':
+                    text.textContent = detail?.retried ? 'Changes sent.' : 'Reconnected. Changes made offline are saved.';
+                    hideTimer = setTimeout(() => queue.render(), 4000);
+                    break;
+                case 'conflict': {
+                    const who = detail?.conflict?.updatedBy || 'Someone';
+                    text.textContent = `${who} committed this page while you were offline, so your offline draft was not saved over it.`;
+                    button('Save my draft anyway', () => queue.saveAnyway(), 'btn-danger');
+                    button('Discard mine and reload', () => queue.discard());
+                    break;
+                }
+                case 'error':
+                    text.textContent = `Could not send ${count}: ${detail?.message || detail}` + (retryTimer ? ' Trying again shortly.' : '');
+                    button('Retry', () => queue.replay());
+                    break;
+            }
+        },
+
+        destroy() {
+            ac.abort();
+            clearTimeout(autosaveTimer);
+            clearTimeout(hideTimer);
+            clearTimeout(retryTimer);
         }
-        
-        editorData.editor.onInput(new Event('input'));
-        editorData.editor.state.isRemote = false;
-        
-        console.log(`➖ [V2] Applied delete operation: position ${position}, length ${length}, cursor preserved at ${savedSelectionStart}-${savedSelectionEnd}`);
-    }
-};
+    };
+    return queue;
+}
 
-window.applyReplaceOperation = function(editorId, start, end, content) {
-    const containerId = `editor-container-${editorId}`;
-    const editorData = window.wikiEditors.get(containerId);
-    if (editorData?.editor) {
-        const textarea = editorData.editor.textarea;
-        
-        // Save cursor position before applying remote operation
-        const wasFocused = document.activeElement === textarea;
-        const savedSelectionStart = textarea.selectionStart;
-        const savedSelectionEnd = textarea.selectionEnd;
-        
-        editorData.editor.state.isRemote = true;
-        
-        // Apply the operation without moving cursor to 'end'
-        textarea.setRangeText(content, start, end, 'preserve');
-        
-        // Restore cursor position only if this editor was focused
-        if (wasFocused) {
-            // Adjust cursor position based on the operation
-            const deltaLength = content.length - (end - start);
-            let newStart = savedSelectionStart;
-            let newEnd = savedSelectionEnd;
-            
-            // If cursor was after the operation, adjust for length change
-            if (savedSelectionStart >= end) {
-                newStart = savedSelectionStart + deltaLength;
-                newEnd = savedSelectionEnd + deltaLength;
+// Local draft backups. Every few seconds while there are unsaved keystrokes, and when the tab is
+// hidden, the editor's content, selection and format go to IndexedDB (draft-backup.js), keyed by
+// the revision the editing started from. Once the server has the current text (autosaved or
+// committed) the backup is dropped, so one still there on the next open holds edits the server
+// never got, and is offered back with a diff against what loaded. No timestamps are compared:
+// this device's clock and the server's need not agree. Nothing is written until the user has
+// answered, so the copy cannot be overwritten by the page it was meant to rescue.
+function createDraftBackup(container, editor, intervalMs = 5000) {
+    const pageId = container.dataset.pageId;
+    const prompt = container.querySelector('[data-role="draft-restore"]');
+    const ac = new AbortController();
+    let dirty = false;
+    let deciding = true;
+    let timer = null;
+
+    // New pages have no id to key a backup by
+    if (!pageId || pageId === NEW_PAGE_ID) return null;
+
+    const baseRevision = () => container.dataset.baseRevisionId || '';
+    const backup = new DraftBackup({ pageId, baseRevision: baseRevision() });
+    const ta = editor.textarea;
+
+    const snapshot = () => {
+        if (!dirty || deciding) return;
+        dirty = false;
+        backup.baseRevision = baseRevision();
+        backup.save({
+            content: editor.value,
+            selectionStart: ta.selectionStart,
+            selectionEnd: ta.selectionEnd,
+            format: editor.format
+        });
+    };
+
+    const api = {
+        backup,
+        snapshot,
+        committed() {
+            dirty = false;
+            backup.clear();
+        },
+        destroy() {
+            ac.abort();
+            clearInterval(timer);
+        }
+    };
+
+    const start = () => {
+        deciding = false;
+        prompt?.classList.add('d-none');
+        prompt?.replaceChildren();
+        timer = setInterval(snapshot, intervalMs);
+        snapshot();
+    };
+
+    ta.addEventListener('input', () => { dirty = true; }, { signal: ac.signal });
+    // autosaved, committed, or back to the committed text: the server has what the backup would keep
+    const unsubscribe = editor.dirty?.subscribe(({ state }) => {
+        if (deciding || state === 'unsaved') return;
+        dirty = false;
+        backup.clear();
+    });
+    if (unsubscribe) ac.signal.addEventListener('abort', unsubscribe);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') snapshot();
+    }, { signal: ac.signal });
+    window.addEventListener('pagehide', snapshot, { signal: ac.signal });
+
+    backup.latest().then(saved => {
+        if (ac.signal.aborted) return;
+        const loaded = editor.value;
+        if (!saved || saved.content === loaded) {
+            // Nothing the server does not already have
+            if (saved) backup.clear();
+            start();
+            return;
+        }
+        if (!prompt) {
+            console.warn(`⚠️ [V2] Local backup of ${pageId} found but there is nowhere to offer it`);
+            start();
+            return;
+        }
+        renderRestorePrompt(prompt, editor, saved, loaded, {
+            restore() {
+                // through the textarea so history, collaboration and autosave all see it as an edit
+                ta.focus();
+                ta.setRangeText(saved.content, 0, ta.value.length, 'end');
+                ta.setSelectionRange(Math.min(saved.selectionStart, saved.content.length), Math.min(saved.selectionEnd, saved.content.length));
+                ta.dispatchEvent(new Event('input', { bubbles: true }));
+                start();
+            },
+            discard() {
+                backup.clear();
+                start();
             }
-            // If cursor was within the operation range, place at end of new content
-            else if (savedSelectionStart >= start) {
-                newStart = newEnd = start + content.length;
+        });
+    });
+
+    return api;
+}
+
+function renderRestorePrompt(prompt, editor, saved, loaded, actions) {
+    const container = editor.container;
+    const olderBase = saved.baseRevision && saved.baseRevision !== (container.dataset.baseRevisionId || '');
+    const when = new Date(saved.savedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const hunks = diffLines(loaded, saved.content);
+    const added = hunks.filter(h => h.type === 'add').length;
+    const removed = hunks.filter(h => h.type === 'del').length;
+
+    prompt.className = 'draft-restore alert alert-info py-2 px-3 mb-2 small';
+    prompt.replaceChildren();
+
+    const row = document.createElement('div');
+    row.className = 'd-flex align-items-center gap-2';
+    const text = document.createElement('span');
+    text.className = 'me-auto';
+    text.textContent = `This device has a copy of the page from ${when} with changes that never reached the server.`;
+    if (olderBase) text.textContent += ' It was made before the page was last committed, so restoring it would replace those changes.';
+    if (saved.format && saved.format !== editor.format) text.textContent += ` It was written as ${saved.format.toUpperCase()}; the page is now ${editor.format.toUpperCase()}.`;
+    row.appendChild(text);
+    for (const [label, cls, onClick] of [['Restore local copy', 'btn-primary', actions.restore], ['Discard it', 'btn-outline-secondary', actions.discard]]) {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = `btn btn-sm ${cls} py-0`;
+        b.textContent = label;
+        b.addEventListener('click', onClick);
+        row.appendChild(b);
+    }
+    prompt.appendChild(row);
+
+    const details = document.createElement('details');
+    details.className = 'mt-1';
+    const summary = document.createElement('summary');
+    summary.textContent = `Show changes against the saved draft (+${added} −${removed} lines)`;
+    details.appendChild(summary);
+    const pre = document.createElement('pre');
+    pre.className = 'draft-diff mb-0 mt-1';
+    // unchanged runs longer than this collapse to a marker, keeping two lines of context each side
+    const context = 2;
+    for (let i = 0; i < hunks.length; i++) {
+        const h = hunks[i];
+        if (h.type === 'same') {
+            let end = i;
+            while (end < hunks.length && hunks[end].type === 'same') end++;
+            const run = end - i;
+            const keepHead = i === 0 ? 0 : context, keepTail = end === hunks.length ? 0 : context;
+            if (run > keepHead + keepTail + 1) {
+                hunks.slice(i, i + keepHead).forEach(x => pre.appendChild(diffLine(x)));
+                const gap = document.createElement('div');
+                gap.className = 'diff-gap';
+                gap.textContent = `… ${run - keepHead - keepTail} unchanged lines …`;
+                pre.appendChild(gap);
+                hunks.slice(end - keepTail, end).forEach(x => pre.appendChild(diffLine(x)));
+                i = end - 1;
+                continue;
             }
-            // If cursor was before operation, no adjustment needed
-            
-            textarea.setSelectionRange(newStart, newEnd);
         }
-        
-        editorData.editor.onInput(new Event('input'));
-        editorData.editor.state.isRemote = false;
-        
-        console.log(`🔄 [V2] Applied replace operation: ${start}-${end} with "${content}", cursor preserved at ${savedSelectionStart}-${savedSelectionEnd}`);
+        pre.appendChild(diffLine(h));
     }
+    details.appendChild(pre);
+    prompt.appendChild(details);
+}
+
+function diffLine({ type, text }) {
+    const line = document.createElement('div');
+    line.className = `diff-${type}`;
+    line.textContent = `${{ same: ' ', add: '+', del: '-' }[type]} ${text}`;
+    return line;
+}
+
+// Remote operations from the collaboration backend. They go through the editor's CollabPlugin,
+// which transforms them over local edits the server has not confirmed yet and rebases the
+// selection, instead of applying raw positions that may have shifted.
+function receiveRemoteOperations(editorId, ops) {
+    const collab = window.wikiEditors.get(`editor-container-${editorId}`)?.editor?.collab;
+    if (!collab) {
+        console.warn(`⚠️ [V2] No collaborative editor for ${editorId}`);
+        return false;
+    }
+    collab.receive(ops);
+    return true;
+}
+
+window.applyRemoteOperations = function(editorId, ops) {
+    return receiveRemoteOperations(editorId, ops);
+};
+
+window.applyInsertOperation = function(editorId, position, content) {
+    return receiveRemoteOperations(editorId, [{ type: 'insert', position, length: 0, text: content }]);
+};
+
+window.applyDeleteOperation = function(editorId, position, length) {
+    return receiveRemoteOperations(editorId, [{ type: 'delete', position, length, text: '' }]);
+};
+
+window.applyReplaceOperation = function(editorId, start, end, content) {
+    return receiveRemoteOperations(editorId, [{ type: 'replace', position: start, length: end - start, text: content }]);
 };
 
 window.getEditorCursorPosition = function(editorId) {
@@ -417,11 +830,6 @@ window.getEditorCursorPosition = function(editorId) {
     return [0, 0];
 };
 
-// Misc compatibility functions
-window.checkBlazorConnection = function() {
-    return true; // Always return true for now
-};
-
 // Set up immediate auto-save on content changes
 window.setupImmediateAutoSave = function(editorId) {
     console.log(`🚀 Setting up immediate auto-save for editor: ${editorId}`);
@@ -438,6 +846,9 @@ window.setupImmediateAutoSave = function(editorId) {
     
     // Set up input listener for immediate auto-save
     textarea.addEventListener('input', function() {
+        // While the circuit is down the offline outbox keeps the autosave instead
+        if (editorData.offline && !editorData.offline.connected) return;
+        
         // Find the Blazor component reference
         const editorContainer = document.getElementById(containerId);
         if (editorContainer && editorContainer._blazorComponentRef) {
@@ -454,13 +865,17 @@ window.setupImmediateAutoSave = function(editorId) {
 };
 
 window.updateRemoteCursor = function(editorId, userId, start, end, color, displayName) {
-    console.log(`👆 [V2] Update remote cursor: ${displayName} at ${start}-${end}`);
-    // TODO: Implement remote cursor display
+    const presence = window.wikiEditors.get(`editor-container-${editorId}`)?.editor?.presence;
+    if (!presence) return false;
+    presence.update(userId, { start, end, color, name: displayName });
+    return true;
 };
 
 window.removeRemoteCursor = function(editorId, userId) {
-    console.log(`👆 [V2] Remove remote cursor: ${userId}`);
-    // TODO: Implement remote cursor removal
+    const presence = window.wikiEditors.get(`editor-container-${editorId}`)?.editor?.presence;
+    if (!presence) return false;
+    presence.remove(userId);
+    return true;
 };
 
 console.log('✅ [V2] WikiEditor Blazor bridge loaded');
\ No newline at end of file
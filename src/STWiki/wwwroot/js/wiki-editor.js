@@ -1,6 +1,11 @@
 // wiki-editor.js  —  ES module
 // Core: small, deterministic, plugin-driven. No globals except opt-in registry.
 
+import { parse, renderBlocks, taskMarkerOffset, headings } from './markdown.js';
+import { patchBlocks, highlightChanged } from './preview-patch.js';
+import { createSanitizer, describeRemoved } from './html-sanitizer.js';
+import { OTClient, normalize, transformSelection } from './ot.js';
+
 export class WikiEditor {
   /** @param {HTMLElement} container - .editor-container root with data-* hooks
       @param {Object} opts - { initialContent, format, plugins: [PluginClass, ...] } */
@@ -77,6 +82,7 @@ export class WikiEditor {
   set value(v) {
     this.textarea.value = v ?? '';
     this.lastContent = this.textarea.value;
+    for (const p of this.plugins) p.onReset?.(this.lastContent); // whole-document replace bypasses onInput
     this.render();
   }
 
@@ -104,97 +110,378 @@ const debounce = (fn, ms=200) => {
 // Utility: basic word/char count
 const countWords = (s) => (s.trim() ? s.trim().split(/\s+/).length : 0);
 
+// Utility: minimal single-range change between two snapshots -> { from, removed, inserted }
+// Given the caret after the change, an ambiguous edit (typing "a" into "aa") is placed right before it
+const diffText = (a, b, caret) => {
+  let s = 0, ea = a.length, eb = b.length;
+  if (caret !== undefined) {
+    while (ea > 0 && eb > caret && a.charCodeAt(ea-1) === b.charCodeAt(eb-1)) { ea--; eb--; }
+  }
+  const max = Math.min(ea, eb);
+  while (s < max && a.charCodeAt(s) === b.charCodeAt(s)) s++;
+  while (ea > s && eb > s && a.charCodeAt(ea-1) === b.charCodeAt(eb-1)) { ea--; eb--; }
+  return { from: s, removed: a.slice(s, ea), inserted: b.slice(s, eb) };
+};
+
 // Utility: simple HTML escape
 const esc = (s) => s.replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+const RE_HEADING = /<h([1-6])\b[^>]*\sid="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/g;
 
-// Optional: pluggable markdown engine; fallback to very small rules
-function fallbackMarkdown(md) {
-  let html = md;
-  // protect code blocks
-  const code = [];
-  html = html.replace(/```(\w+)?\n?([\s\S]*?)```/g, (_, lang='', body) => {
-    const i = code.push(`<pre><code class="language-${esc(lang)}">${esc(body)}</code></pre>`) - 1;
-    return `§§CODE${i}§§`;
-  });
-  // inline code
-  const inline = [];
-  html = html.replace(/`([^`]+)`/g, (_, body) => {
-    const i = inline.push(`<code>${esc(body)}</code>`) - 1;
-    return `§§INL${i}§§`;
+const RE_ANY_HEADING = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+
+const decoder = document.createElement('textarea');
+const decodeHtml = (s) => { decoder.innerHTML = s; return decoder.value; };
+
+/** Headings (with their anchor ids) found in rendered html -> [{ id, text, level }] */
+function htmlHeadings(html) {
+  return [...html.matchAll(RE_HEADING)].map(m =>
+    ({ id: m[2], text: decodeHtml(m[3].replace(/<[^>]+>/g, '')).trim(), level: Number(m[1]) }));
+}
+
+const TEMPLATE_BATCH_SIZE = 50; // server cap per preview request (TemplateApiController)
+const TEMPLATE_TTL_MS = 60000; // {{recent-pages}} and friends follow the wiki, so rendered macros go stale
+let templateRegistry = null;
+
+/** Server template registry, name -> { name, icon, description }; fetched once per page load */
+export function loadTemplateRegistry() {
+  templateRegistry ??= fetch('/api/templates')
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => new Map(data.templates.map(t => [t.name, t])))
+    .catch(error => {
+      console.error('[wiki-editor] Failed to load template registry:', error);
+      templateRegistry = null; // retry on the next use
+      return new Map();
+    });
+  return templateRegistry;
+}
+
+/** Split the inside of a {{...}} macro -> { name, params: [{ key, value }] } (value null without "=") */
+export function parseTemplateMacro(content) {
+  const [name = '', ...tokens] = content.trim().split(/\s+/);
+  return {
+    name,
+    params: tokens.filter(Boolean).map(token => {
+      const at = token.indexOf('=');
+      return at < 0 ? { key: token, value: null } : { key: token.slice(0, at), value: token.slice(at + 1) };
+    }),
+  };
+}
+
+/** Problems with a {{...}} macro's contents against the template registry, as messages; [] when valid.
+ * Parameters must follow the registry's order, as the server's macro patterns only accept that. */
+export function validateTemplate(content, registry) {
+  const { name, params } = parseTemplateMacro(content);
+  const template = registry.get(name);
+  if (!template) return registry.size ? [`Unknown template "${name}"`] : []; // no registry, no verdict
+  const declared = template.parameters || [];
+  const problems = [];
+  const seen = new Set();
+  let furthest = -1;
+  for (const { key, value } of params) {
+    const index = declared.findIndex(p => p.name === key);
+    if (index < 0) {
+      problems.push(declared.length
+        ? `Unknown parameter "${key}" (${name} takes ${declared.map(p => p.name).join(', ')})`
+        : `${name} takes no parameters`);
+      continue;
+    }
+    if (seen.has(key)) { problems.push(`Parameter "${key}" is given twice`); continue; }
+    seen.add(key);
+    if (index < furthest) problems.push(`Parameter "${key}" must come before "${declared[furthest].name}"`);
+    furthest = Math.max(furthest, index);
+    const problem = checkParamValue(declared[index], value);
+    if (problem) problems.push(problem);
+  }
+  return problems;
+}
+
+const checkParamValue = (param, value) => {
+  const allowed = param.allowedValues || [];
+  if (!value) return `"${param.name}" needs a value, e.g. ${param.name}=${param.default ?? allowed[0] ?? '…'}`;
+  if (param.type === 'integer' && (!/^\d+$/.test(value) || Number(value) < (param.min ?? 0))) {
+    return `"${param.name}" must be a whole number${param.min != null ? ` of at least ${param.min}` : ''}`;
+  }
+  // enum values are matched case-insensitively by the server, booleans are not
+  const candidate = param.type === 'enum' ? value.toLowerCase() : value;
+  if (allowed.length && !allowed.includes(candidate)) return `"${param.name}" must be one of ${allowed.join('|')}`;
+  return null;
+};
+
+/** Split a wiki link target into page slug and heading anchor: "page#anchor" / "#anchor" / "page" */
+function splitAnchor(target) {
+  const at = target.indexOf('#');
+  if (at < 0) return { slug: target.trim(), anchor: null };
+  return { slug: target.slice(0, at).trim(), anchor: target.slice(at + 1).trim() };
+}
+
+// Utility: hidden div laid out like the textarea's text (shared via editor.state.mirror)
+const MIRROR_STYLES = [
+  'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant', 'line-height',
+  'letter-spacing', 'word-spacing', 'text-indent', 'text-transform', 'tab-size', 'direction',
+  'padding-top', 'padding-right', 'padding-bottom', 'padding-left', 'word-break',
+];
+const syncMirror = (editor) => {
+  const ta = editor.textarea;
+  let m = editor.state.mirror;
+  if (!m) {
+    m = editor.state.mirror = document.createElement('div');
+    m.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(m);
+  }
+  const cs = getComputedStyle(ta);
+  for (const p of MIRROR_STYLES) m.style.setProperty(p, cs.getPropertyValue(p));
+  const padX = (parseFloat(cs.paddingLeft) || 0) + (parseFloat(cs.paddingRight) || 0);
+  Object.assign(m.style, {
+    position: 'absolute', top: '0', left: '-9999px', visibility: 'hidden', overflow: 'hidden',
+    boxSizing: 'content-box', border: '0', whiteSpace: 'pre-wrap', overflowWrap: 'break-word',
+    width: `${Math.max(0, ta.clientWidth - padX)}px`, // clientWidth already excludes the scrollbar
   });
-  // headers, emph, strong, links (basic)
-  html = esc(html)
-    .replace(/^### (.*)$/gim, '<h3>$1</h3>')
-    .replace(/^## (.*)$/gim, '<h2>$1</h2>')
-    .replace(/^# (.*)$/gim, '<h1>$1</h1>')
-    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.+?)\*/g, '<em>$1</em>')
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>')
-    .replace(/^> (.*)$/gim, '<blockquote>$1</blockquote>')
-    .replace(/^(?:\*|\-|\d+\.) (.*)$/gim, '<li>$1</li>')
-    .replace(/(<li>.*<\/li>)(\n<li>.*<\/li>)+/g, m => `<ul>${m.replace(/\n/g,'')}</ul>`)
-    .replace(/\n{2,}/g, '</p><p>')
-    .replace(/^(?!<h\d|<ul|<pre|<blockquote|<p|<figure|<code)/, '<p>');
-  inline.forEach((h,i)=> html = html.replace(`§§INL${i}§§`, h));
-  code.forEach((h,i)=> html = html.replace(`§§CODE${i}§§`, h));
-  return html.endsWith('</p>') ? html : html + '</p>';
+  return m;
+};
+
+// Utility: y offset (textarea content coordinates) of the start of each requested source line
+const measureLines = (editor, lines) => {
+  const wanted = new Set(lines);
+  const m = syncMirror(editor);
+  m.innerHTML = editor.value.split('\n')
+    .map((text, n) => (wanted.has(n) ? `<span data-l="${n}"></span>` : '') + esc(text))
+    .join('\n') + '\n';
+  const out = new Map();
+  for (const mark of m.querySelectorAll('span[data-l]')) out.set(Number(mark.dataset.l), mark.offsetTop);
+  m.textContent = '';
+  return out;
+};
+
+// Utility: caret offset (textarea content coordinates, before scrolling) of a text index
+const caretOffset = (editor, index) => {
+  const m = syncMirror(editor);
+  const mark = document.createElement('span');
+  mark.textContent = '\u200b'; // zero-width, keeps the caret's line height
+  m.textContent = editor.value.slice(0, index);
+  m.appendChild(mark);
+  const out = { left: mark.offsetLeft, top: mark.offsetTop, height: mark.offsetHeight };
+  m.textContent = '';
+  return out;
+};
+
+/** Fuzzy subsequence score of `query` in `text`, or null when its characters don't all appear in order.
+ * Same rules as the server's FuzzyMatcher, so re-ranking here keeps the order suggestions arrive in. */
+export function fuzzyScore(query, text) {
+  if (!query) return 0;
+  if (!text) return null;
+  const q = query.toLowerCase(), c = String(text).toLowerCase();
+  let score = 0, last = -1;
+  for (const ch of q) {
+    const at = c.indexOf(ch, last + 1);
+    if (at < 0) return null;
+    score += 1;
+    if (at === 0 || ' -_/.'.includes(c[at - 1])) score += 2;
+    if (at === last + 1 && last >= 0) score += 3;
+    else if (last >= 0) score -= Math.min(at - last - 1, 10) * 0.1;
+    last = at;
+  }
+  if (c.startsWith(q)) score += 10;
+  else if (c.includes(q)) score += 5;
+  return score - c.length * 0.01; // shorter wins a tie
 }
 
+// Utility: suggestions matching `query`, best first; title counts most, then value (slug, file name), then path
+const rankItems = (items, query) => {
+  if (!query) return items;
+  return items
+    .map((item, k) => {
+      let score = null;
+      for (const [text, weight] of [[item.title, 1], [item.value, 0.9], [item.path, 0.5]]) {
+        const s = fuzzyScore(query, text);
+        if (s !== null && (score === null || s * weight > score)) score = s * weight;
+      }
+      return { item, k, score };
+    })
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score || a.k - b.k)
+    .map(r => r.item);
+};
+
+// Utility: nearest scrollable ancestor (or self)
+const scrollParent = (el) => {
+  for (let n = el; n && n !== document.body; n = n.parentElement) {
+    if (/(auto|scroll)/.test(getComputedStyle(n).overflowY)) return n;
+  }
+  return document.scrollingElement;
+};
+
+// Utility: piecewise-linear lookup in an ascending [{ [from], [to] }] table
+const interpolate = (map, from, to, y) => {
+  let k = 1;
+  while (k < map.length - 1 && map[k][from] <= y) k++;
+  const a = map[k - 1], b = map[k];
+  const span = b[from] - a[from];
+  return span > 0 ? a[to] + (y - a[from]) / span * (b[to] - a[to]) : a[to];
+};
+
 // PreviewPlugin: renders markdown or html, async friendly
 export class PreviewPlugin {
   constructor(editor, opts={}) {
     this.editor = editor;
     this.debounced = debounce(() => this.render(), opts.delay ?? 120);
     this.worker = opts.worker || null; // optional Web Worker for heavy parsing
+    this.workerThreshold = opts.workerThreshold ?? 50_000; // chars; bigger pages parse in the bundled worker
+    this.autoWorker = null;
+    this.workerFailed = false;
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.requestSeq = 0;
+    this.renderSeq = 0; // latest render ticket; older renders drop their result
+    this.chunks = []; // block chunks currently in the preview (see preview-patch.js)
+    this.renderOptions = { interactiveTasks: true, sourcePositions: true }; // see markdown.js render()
+    this.sanitize = createSanitizer(opts.sanitize); // opts.sanitize: allowlist overrides
+    this.noticeEl = null; // tells authors what the sanitizer took out
     this.resolveWikiMacros = opts.resolveWikiMacros || (async (html)=>html);
-    this.mediaCache = new Map(); // Cache for media API responses
+    this.mediaCache = new Map(); // file name -> media info, or null when no file has that exact name
     this.pageCache = new Map(); // Cache for page lookup responses
+    this.headingCache = new Map(); // slug -> [{ id, text, level }] for [[page#anchor]] checks
+    this.localHeadings = []; // headings of the page being edited, for [[#anchor]] links
+    this.templateCache = new Map(); // macro text -> Promise<rendered html | null>
+    this.templateQueue = new Map(); // macro text -> resolve, waiting for the next batch
+    this.templateFlush = null;
+    this.templatesExpire = 0; // when the cached macro renders are refetched
+    // templates such as {{child-pages}} render relative to this page; new pages have none yet
+    const pageId = opts.pageId ?? editor.container.dataset.pageId;
+    this.pageId = pageId && !/^[0-]+$/.test(pageId) ? pageId : null;
+  }
+  init() {
+    this.worker && this.attachWorker(this.worker);
+    // task list checkboxes edit the source, so the toggle flows through history, drafts and collab
+    this.editor.previewEl?.addEventListener('change', (e) => {
+      const box = e.target.closest?.('input[type="checkbox"][data-source-line]');
+      if (box) this.toggleTask(Number(box.dataset.sourceLine), box.checked);
+    }, { signal: this.editor.ac.signal });
+    document.addEventListener('stwiki:media-changed', () => this.onMediaChanged(), { signal: this.editor.ac.signal });
   }
-  init() { /* no-op */ }
   async onInput() { this.debounced(); }
   async onRender() { this.debounced(); } // unify
+  toggleTask(line, checked) {
+    const ta = this.editor.textarea;
+    const at = taskMarkerOffset(ta.value, line);
+    if (at < 0) return this.render(); // source moved on since the last render; repaint
+    ta.setRangeText(checked ? 'x' : ' ', at, at + 1, 'preserve');
+    this.editor.onInput(new Event('input'));
+  }
   async render() {
     const { editor } = this;
     if (!editor.previewEl) return;
+    const ticket = ++this.renderSeq;
     const raw = editor.value;
     if (!raw.trim()) {
       editor.previewEl.innerHTML = '<em class="text-muted">Preview…</em>';
+      this.chunks = [];
+      this.reportRemoved([]);
       return;
     }
-    let html;
+    let blocks;
     if (editor.format === 'html') {
-      html = raw; // trust upstream; sanitize on server if needed
-    } else if (this.worker) {
-      html = await this.renderInWorker(raw, editor.format);
+      blocks = [{ line: 0, endLine: raw.split('\n').length - 1, html: raw }]; // sanitized per chunk in build(), like markdown output
     } else {
-      html = fallbackMarkdown(raw);
+      const worker = this.workerFor(raw);
+      // a failed worker render falls back to the main thread rather than blanking the preview
+      if (worker) blocks = await this.renderInWorker(raw, editor.format, worker).catch(() => null);
+      if (ticket !== this.renderSeq) return; // stale: a newer render started meanwhile
+      blocks ??= renderBlocks(parse(raw), this.renderOptions);
     }
-    // wiki macro pass (async)
-    html = await this.resolveWikiMacros(html);
-    
-    // Process wiki-specific syntax
-    html = await this.processWikiSyntax(html);
-    
-    editor.previewEl.innerHTML = html;
-    // optional Prism hook
-    if (window.Prism?.highlightAllUnder) {
-      try { window.Prism.highlightAllUnder(editor.previewEl); } catch {}
+    // [[#anchor]] links depend on headings anywhere in the page: rebuild them when those change
+    const local = blocks.flatMap(block => htmlHeadings(block.html));
+    if (local.map(h => h.id).join('\n') !== this.localHeadings.map(h => h.id).join('\n')) {
+      for (const chunk of this.chunks) if (chunk.localAnchors) chunk.html = null;
     }
+    this.localHeadings = local;
+    // refetch macro output once it is old, in the blocks that show it too
+    if (this.templateCache.size && Date.now() > this.templatesExpire) {
+      this.templateCache.clear();
+      for (const chunk of this.chunks) if (chunk.templates) chunk.html = null;
+    }
+    // wiki macro passes and sanitizing run per chunk, and only for chunks that changed
+    const result = await patchBlocks(editor.previewEl, this.chunks, blocks, {
+      build: async (chunk) => {
+        chunk.localAnchors = chunk.html.includes('[[#');
+        chunk.templates = chunk.html.includes('{{');
+        const html = await this.processWikiSyntax(await this.resolveWikiMacros(chunk.html));
+        const clean = this.sanitize(html);
+        chunk.removed = clean.removed;
+        return clean.html;
+      },
+      isStale: () => ticket !== this.renderSeq,
+    });
+    if (!result) return;
+    this.chunks = result.chunks;
+    this.reportRemoved(this.chunks.flatMap(c => c.removed || []));
+    // optional Prism hook, limited to the code blocks that were re-rendered
+    highlightChanged(result.changed);
   }
-  renderInWorker(text, fmt) {
-    return new Promise((res, rej) => {
-      const w = this.worker;
-      const onMsg = (e) => { w.removeEventListener('message', onMsg); res(e.data.html); };
-      const onErr = (e) => { w.removeEventListener('error', onErr); rej(e); };
-      w.addEventListener('message', onMsg);
-      w.addEventListener('error', onErr);
-      w.postMessage({ type:'render', format: fmt, text });
+  reportRemoved(removed) {
+    if (!removed.length) {
+      this.noticeEl?.remove();
+      this.noticeEl = null;
+      return;
+    }
+    if (!this.noticeEl) {
+      this.noticeEl = document.createElement('div');
+      this.noticeEl.className = 'preview-sanitizer-notice alert alert-warning py-1 px-2 mb-2 small';
+      this.noticeEl.setAttribute('role', 'status');
+      this.editor.previewEl.before(this.noticeEl);
+    }
+    this.noticeEl.textContent = `Removed from preview for safety: ${describeRemoved(removed)}`;
+  }
+  // explicit opts.worker always wins; otherwise spin up the bundled worker once a page gets large
+  workerFor(raw) {
+    if (this.worker) return this.worker;
+    if (this.workerFailed || raw.length < this.workerThreshold || typeof Worker === 'undefined') return null;
+    if (!this.autoWorker) {
+      try {
+        this.autoWorker = new Worker(new URL('./preview-worker.js', import.meta.url), { type:'module' });
+        this.attachWorker(this.autoWorker);
+      } catch (err) {
+        console.warn('[PreviewPlugin] Preview worker unavailable, rendering on main thread', err);
+        this.workerFailed = true;
+        return null;
+      }
+    }
+    return this.autoWorker;
+  }
+  attachWorker(w) {
+    const { signal } = this.editor.ac;
+    w.addEventListener('message', this.onWorkerMessage, { signal });
+    w.addEventListener('error', this.onWorkerError, { signal });
+  }
+  onWorkerMessage = (e) => {
+    const { id, blocks, error } = e.data || {};
+    const req = this.pending.get(id);
+    if (!req) return; // not ours, or already settled
+    this.pending.delete(id);
+    if (error) req.reject(new Error(error));
+    else req.resolve(blocks);
+  };
+  onWorkerError = (e) => {
+    for (const req of this.pending.values()) req.reject(e);
+    this.pending.clear();
+    if (this.autoWorker) { // broken script/runtime: stop retrying it on every keystroke
+      this.autoWorker.terminate();
+      this.autoWorker = null;
+      this.workerFailed = true;
+    }
+  };
+  renderInWorker(text, fmt, w = this.worker) {
+    const id = ++this.requestSeq;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      w.postMessage({ type:'render', id, format: fmt, text, options: this.renderOptions });
     });
   }
   
   async processWikiSyntax(html) {
     // Process templates first (to avoid conflicts with other syntax)
-    html = this.parseTemplates(html);
+    html = await this.parseTemplates(html);
     
     // Process page links (now async due to API calls)
     html = await this.parseWikiLinks(html);
@@ -206,7 +493,7 @@ export class PreviewPlugin {
   }
   
   async parseWikiLinks(html) {
-    // Match [[page-slug]] and [[page-slug|Display Text]] patterns - exclude media links
+    // Match [[page-slug]], [[page-slug#anchor]], [[#anchor]] and [[...|Display Text]] patterns - exclude media links
     const wikiLinkRegex = /\[\[(?!media:)([^|\]]+)(?:\|([^\]]+))?\]\]/g;
     const matches = [...html.matchAll(wikiLinkRegex)];
     
@@ -214,32 +501,44 @@ export class PreviewPlugin {
     
     console.log(`[PreviewPlugin] Found ${matches.length} wiki links to process`);
     
-    // Collect all unique slugs for batch lookup
-    const slugsToLookup = [...new Set(matches.map(match => match[1].trim()))];
+    // Collect all unique slugs for batch lookup; section links also need the target's headings
+    const targets = matches.map(match => splitAnchor(match[1]));
+    const slugsToLookup = [...new Set(targets.filter(t => t.slug).map(t => t.slug))];
+    const withHeadings = new Set(targets.filter(t => t.slug && t.anchor !== null).map(t => t.slug));
     
     // Get page info for all slugs at once
-    const pageInfo = await this.lookupPages(slugsToLookup);
+    const pageInfo = await this.lookupPages(slugsToLookup, withHeadings);
     
     // Replace each match with appropriate link
-    for (const match of matches) {
-      const [fullMatch, slug, displayText] = match;
-      const cleanSlug = slug.trim();
-      const linkHtml = this.renderWikiLink(cleanSlug, displayText, pageInfo[cleanSlug]);
+    matches.forEach((match, k) => {
+      const [fullMatch, , displayText] = match;
+      const { slug, anchor } = targets[k];
+      let linkHtml;
+      if (anchor === null) {
+        linkHtml = this.renderWikiLink(slug, displayText, pageInfo[slug]);
+      } else if (!slug) {
+        linkHtml = this.renderSectionLink('', anchor, displayText, null, this.localHeadings);
+      } else if (pageInfo[slug] === null) {
+        linkHtml = this.renderWikiLink(slug, displayText, null);
+      } else {
+        linkHtml = this.renderSectionLink(slug, anchor, displayText, pageInfo[slug], this.headingCache.get(slug));
+      }
       html = html.replace(fullMatch, linkHtml);
-    }
+    });
     
     return html;
   }
   
-  async lookupPages(slugs) {
-    const uncachedSlugs = slugs.filter(slug => !this.pageCache.has(slug));
+  async lookupPages(slugs, withHeadings = new Set()) {
+    const uncachedSlugs = slugs.filter(slug => !this.pageCache.has(slug) || (withHeadings.has(slug) && !this.headingCache.has(slug)));
+    const headings = uncachedSlugs.some(slug => withHeadings.has(slug));
     
     // Fetch uncached pages
     if (uncachedSlugs.length > 0) {
       try {
         console.log(`[PreviewPlugin] Looking up ${uncachedSlugs.length} pages:`, uncachedSlugs);
         
-        const response = await fetch(`/api/wiki/lookup?slugs=${uncachedSlugs.map(s => encodeURIComponent(s)).join(',')}`);
+        const response = await fetch(`/api/wiki/lookup?slugs=${uncachedSlugs.map(s => encodeURIComponent(s)).join(',')}${headings ? '&headings=true' : ''}`);
         if (response.ok) {
           const data = await response.json();
           console.log(`[PreviewPlugin] Page lookup response:`, data);
@@ -248,6 +547,7 @@ export class PreviewPlugin {
           uncachedSlugs.forEach(slug => {
             const title = data.pages[slug] || null;
             this.pageCache.set(slug, title);
+            if (headings) this.headingCache.set(slug, data.headings?.[slug] || []);
           });
         } else {
           console.error(`[PreviewPlugin] Page lookup failed: ${response.status}`);
@@ -277,80 +577,91 @@ export class PreviewPlugin {
     return `<a href="/wiki/${encodeURIComponent(slug)}" class="${className}" title="${esc(title)}">${esc(text)}</a>`;
   }
   
+  // Anchors must equal a rendered heading id, same as the view page (TemplateService.RenderSectionLink)
+  renderSectionLink(slug, anchor, displayText, pageTitle, headings) {
+    const heading = (headings || []).find(h => h.id === anchor);
+    const href = (slug ? `/wiki/${encodeURIComponent(slug)}` : '') + `#${encodeURIComponent(anchor)}`;
+    const place = pageTitle ?? 'this page';
+    const section = heading ? heading.text : anchor;
+    const text = displayText ? displayText.trim() : (pageTitle ? `${pageTitle} § ${section}` : section);
+    const className = heading ? 'wiki-link wiki-link-exists' : 'wiki-link wiki-link-section-missing';
+    const title = heading ? `Navigate to: ${place} § ${heading.text}` : `Section not found on ${place}: ${anchor}`;
+    
+    return `<a href="${href}" class="${className}" title="${esc(title)}">${esc(text)}</a>`;
+  }
+  
   async parseMediaLinks(html) {
     // Match [[media:filename|params]] patterns - case insensitive
     const mediaRegex = /\[\[media:([^|\]]+)(?:\|([^\]]+))?\]\]/gi;
     const matches = [...html.matchAll(mediaRegex)];
+    if (matches.length === 0) return html;
     
-    console.log(`[PreviewPlugin] Found ${matches.length} media links to process`);
+    // Resolve every file named on the page in one request
+    const names = [...new Set(matches.map(match => match[1].trim()))];
+    const mediaInfo = await this.lookupMedia(names);
     
     for (const match of matches) {
       const [fullMatch, filename, params] = match;
-      console.log(`[PreviewPlugin] Processing media: "${filename}" with params: "${params}"`);
-      const mediaHtml = await this.renderMediaLink(filename.trim(), params);
+      const mediaHtml = this.renderMediaLink(filename.trim(), params, mediaInfo[filename.trim()]);
       html = html.replace(fullMatch, mediaHtml);
     }
     
     return html;
   }
   
-  async renderMediaLink(filename, params) {
-    try {
-      console.log(`[PreviewPlugin] Rendering media link for: ${filename}`);
-      
-      // Try to get media info from cache first
-      let mediaInfo = this.mediaCache.get(filename);
-      
-      if (!mediaInfo) {
-        console.log(`[PreviewPlugin] Media not in cache, fetching from API: ${filename}`);
-        
-        // Search for media by filename
-        const apiUrl = `/api/media?search=${encodeURIComponent(filename)}&pageSize=20`;
-        console.log(`[PreviewPlugin] API URL: ${apiUrl}`);
-        
-        const response = await fetch(apiUrl);
-        console.log(`[PreviewPlugin] API response status: ${response.status}`);
-        
+  async lookupMedia(names) {
+    const uncachedNames = names.filter(name => !this.mediaCache.has(name));
+    let failed = false;
+    
+    // Fetch uncached media; names are matched exactly, misses are cached as null
+    if (uncachedNames.length > 0) {
+      try {
+        const query = uncachedNames.map(name => `names=${encodeURIComponent(name)}`).join('&');
+        const response = await fetch(`/api/media/lookup?${query}`);
         if (response.ok) {
           const data = await response.json();
-          console.log(`[PreviewPlugin] API response data:`, data);
-          
-          if (data.items && data.items.length > 0) {
-            // Look for exact match first, then partial match
-            mediaInfo = data.items.find(item => item.fileName === filename) || 
-                       data.items.find(item => item.fileName.includes(filename)) ||
-                       data.items[0];
-            
-            if (mediaInfo) {
-              console.log(`[PreviewPlugin] Found media:`, mediaInfo);
-              this.mediaCache.set(filename, mediaInfo);
-            }
-          }
+          uncachedNames.forEach(name => this.mediaCache.set(name, data.media[name] || null));
         } else {
-          console.error(`[PreviewPlugin] API error: ${response.status} ${response.statusText}`);
+          console.error(`[PreviewPlugin] Media lookup failed: ${response.status}`);
+          failed = true;
         }
-      } else {
-        console.log(`[PreviewPlugin] Using cached media info for: ${filename}`);
-      }
-      
-      if (!mediaInfo) {
-        console.warn(`[PreviewPlugin] No media found for: ${filename}`);
-        return `<span class="media-link-error" title="Media file not found: ${filename}">📄 ${esc(filename)} (not found)</span>`;
-      }
-      
-      // Parse parameters
-      const paramObj = this.parseMediaParams(params);
-      console.log(`[PreviewPlugin] Media parameters:`, paramObj);
-      
-      // Render based on content type
-      if (mediaInfo.contentType.startsWith('image/')) {
-        return this.renderImageMedia(mediaInfo, paramObj);
-      } else {
-        return this.renderFileMedia(mediaInfo, paramObj);
+      } catch (error) {
+        console.error(`[PreviewPlugin] Error looking up media:`, error);
+        failed = true;
       }
-    } catch (error) {
-      console.error(`[PreviewPlugin] Failed to render media link for ${filename}:`, error);
-      return `<span class="media-link-error" title="Error loading media: ${error.message}">📄 ${esc(filename)} (error)</span>`;
+    }
+    
+    // undefined = lookup failed (not cached, retried next render), null = no such file
+    const result = {};
+    names.forEach(name => {
+      result[name] = this.mediaCache.has(name) ? this.mediaCache.get(name) : (failed ? undefined : null);
+    });
+    return result;
+  }
+  
+  onMediaChanged() {
+    // uploads can satisfy cached misses and deletes can orphan cached hits
+    this.mediaCache.clear();
+    this.chunks = []; // unchanged blocks would otherwise keep their resolved media
+    this.debounced();
+  }
+  
+  renderMediaLink(filename, params, mediaInfo) {
+    if (mediaInfo === undefined) {
+      return `<span class="media-link-error" title="Could not load media: ${esc(filename)}">📄 ${esc(filename)} (error)</span>`;
+    }
+    if (!mediaInfo) {
+      return `<span class="media-link-missing" title="No media file named exactly: ${esc(filename)}">📄 ${esc(filename)} (not found)</span>`;
+    }
+    
+    // Parse parameters
+    const paramObj = this.parseMediaParams(params);
+    
+    // Render based on content type
+    if (mediaInfo.contentType.startsWith('image/')) {
+      return this.renderImageMedia(mediaInfo, paramObj);
+    } else {
+      return this.renderFileMedia(mediaInfo, paramObj);
     }
   }
   
@@ -389,16 +700,16 @@ export class PreviewPlugin {
     const alt = params.alt || params.caption || fileName;
     const caption = params.caption ? `<figcaption class="figure-caption">${esc(params.caption)}</figcaption>` : '';
     
+    // plain links rather than onclick handlers, which the preview sanitizer strips
     if (caption) {
       return `<figure class="figure ${alignClass}">
-        <img src="${imageUrl}" alt="${esc(alt)}" class="figure-img img-fluid rounded" style="${sizeStyle}" 
-             title="Click to view full size" onclick="window.open('/api/media/${id}', '_blank')">
+        <a href="/api/media/${id}" target="_blank"><img src="${imageUrl}" alt="${esc(alt)}" class="figure-img img-fluid rounded" style="${sizeStyle}" 
+             title="Click to view full size"></a>
         ${caption}
       </figure>`;
     } else {
-      return `<img src="${imageUrl}" alt="${esc(alt)}" class="img-fluid rounded ${alignClass}" 
-               style="${sizeStyle} cursor: pointer;" title="Click to view full size"
-               onclick="window.open('/api/media/${id}', '_blank')">`;
+      return `<a href="/api/media/${id}" target="_blank" class="${alignClass}"><img src="${imageUrl}" alt="${esc(alt)}" class="img-fluid rounded" 
+               style="${sizeStyle}" title="Click to view full size"></a>`;
     }
   }
   
@@ -414,54 +725,91 @@ export class PreviewPlugin {
     </a>`;
   }
   
-  parseTemplates(html) {
-    // Match {{template-name param=value}} patterns
-    return html.replace(/\{\{([^}]+)\}\}/g, (match, content) => {
-      const parts = content.trim().split(/\s+/);
-      const templateName = parts[0];
-      const params = parts.slice(1).map(p => {
-        const [key, value] = p.split('=');
-        return value ? `${key}: ${value}` : key;
-      }).join(', ');
-      
-      const icon = this.getTemplateIcon(templateName);
-      const description = this.getTemplateDescription(templateName);
-      
-      return `<div class="template-placeholder border rounded p-3 mb-3 bg-light">
+  async parseTemplates(html) {
+    // Match {{template-name param=value}} patterns; each renders server-side in the context of this page
+    const matches = [...html.matchAll(/\{\{([^}]+)\}\}/g)];
+    if (matches.length === 0) return html;
+    
+    // invalid macros are flagged where they stand instead of being sent for rendering
+    const registry = await loadTemplateRegistry();
+    const problems = matches.map(match => validateTemplate(decodeHtml(match[1]), registry));
+    const rendered = await Promise.all(matches.map((match, k) =>
+      problems[k].length ? null : this.renderTemplate(decodeHtml(match[0]))));
+    
+    matches.forEach((match, k) => {
+      const templateHtml = rendered[k] ?? this.renderTemplatePlaceholder(decodeHtml(match[1]), registry, problems[k]);
+      html = html.replace(match[0], () => templateHtml);
+    });
+    return html;
+  }
+  
+  // Macros requested while rendering are sent together; results are cached per macro text for
+  // TEMPLATE_TTL_MS
+  renderTemplate(macro) {
+    if (!this.templateCache.size) this.templatesExpire = Date.now() + TEMPLATE_TTL_MS;
+    if (!this.templateCache.has(macro)) {
+      this.templateCache.set(macro, new Promise(resolve => this.templateQueue.set(macro, resolve)));
+      this.templateFlush ??= setTimeout(() => this.flushTemplates(), 0);
+    }
+    return this.templateCache.get(macro);
+  }
+  
+  async flushTemplates() {
+    const batch = new Map(this.templateQueue);
+    this.templateQueue.clear();
+    this.templateFlush = null;
+    
+    const macros = [...batch.keys()];
+    for (let i = 0; i < macros.length; i += TEMPLATE_BATCH_SIZE) {
+      const group = macros.slice(i, i + TEMPLATE_BATCH_SIZE);
+      let rendered = null;
+      try {
+        const response = await fetch('/api/templates/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ pageId: this.pageId, macros: group })
+        });
+        if (response.ok) {
+          rendered = (await response.json()).rendered;
+        } else {
+          console.error(`[PreviewPlugin] Template preview failed: ${response.status}`);
+        }
+      } catch (error) {
+        console.error(`[PreviewPlugin] Error previewing templates:`, error);
+      }
+      for (const macro of group) {
+        if (!rendered) this.templateCache.delete(macro); // retry on the next render
+        batch.get(macro)(rendered?.[macro] ?? null);
+      }
+    }
+  }
+  
+  // Unknown templates, bad parameters or an unreachable server keep the old placeholder box
+  renderTemplatePlaceholder(content, registry, problems = []) {
+    const parts = content.trim().split(/\s+/);
+    const templateName = parts[0];
+    const params = parts.slice(1).map(p => {
+      const [key, value] = p.split('=');
+      return value ? `${key}: ${value}` : key;
+    }).join(', ');
+    
+    const template = registry.get(templateName);
+    const icon = template?.icon || 'puzzle';
+    const description = template?.description || 'Unknown template';
+    
+    const invalid = problems.length > 0;
+    
+    return `<div class="template-placeholder${invalid ? ' template-invalid' : ''} border rounded p-3 mb-3 bg-light">
         <div class="d-flex align-items-center">
-          <i class="bi bi-${icon} text-primary me-2 fs-5"></i>
+          <i class="bi bi-${esc(invalid ? 'exclamation-triangle' : icon)} ${invalid ? 'text-danger' : 'text-primary'} me-2 fs-5"></i>
           <div>
             <strong>${esc(templateName)}</strong>
             ${params ? `<small class="text-muted ms-2">(${esc(params)})</small>` : ''}
-            <div class="small text-muted">${description}</div>
+            <div class="small text-muted">${esc(description)}</div>
+            ${invalid ? `<ul class="small text-danger mb-0 ps-3">${problems.map(p => `<li>${esc(p)}</li>`).join('')}</ul>` : ''}
           </div>
         </div>
       </div>`;
-    });
-  }
-  
-  getTemplateIcon(templateName) {
-    const icons = {
-      'recent-pages': 'clock-history',
-      'child-pages': 'folder',
-      'popular-pages': 'star',
-      'top-contributors': 'people',
-      'wiki-statistics': 'bar-chart',
-      'recently-edited': 'pencil-square'
-    };
-    return icons[templateName] || 'puzzle';
-  }
-  
-  getTemplateDescription(templateName) {
-    const descriptions = {
-      'recent-pages': 'Shows recently updated pages',
-      'child-pages': 'Lists sub-pages of current page',
-      'popular-pages': 'Displays most viewed pages',
-      'top-contributors': 'Shows top wiki contributors',
-      'wiki-statistics': 'Displays wiki metrics and statistics',
-      'recently-edited': 'Shows recent page changes'
-    };
-    return descriptions[templateName] || 'Dynamic template content will appear here';
   }
   
   formatFileSize(bytes) {
@@ -482,7 +830,14 @@ export class PreviewPlugin {
     return 'file-earmark';
   }
   
-  destroy() { /* worker is external */ }
+  destroy() {
+    this.noticeEl?.remove();
+    // opts.worker is external; only the bundled one is ours to stop
+    this.autoWorker?.terminate();
+    this.autoWorker = null;
+    for (const req of this.pending.values()) req.resolve(null);
+    this.pending.clear();
+  }
 }
 
 // StatsPlugin: keeps counts fresh
@@ -529,24 +884,365 @@ export class FormattingPlugin {
   }
 }
 
-/** AutocompletePlugin (skeleton)
+/** HistoryPlugin
+ * setRangeText() wipes the native undo stack, so we keep our own.
+ * - Every local change (typing or plugin-driven) is stored as { from, removed, inserted } patches
+ * - Consecutive typing coalesces into one group; plugin edits are one group each
+ * - Remote changes (state.isRemote) are never recorded, only rebased over the stored patches
+ * Exposed as editor.history so other plugins can transact().
+ */
+export class HistoryPlugin {
+  constructor(editor, opts={}) {
+    this.editor = editor;
+    this.limit = opts.limit ?? 200;
+    this.coalesceMs = opts.coalesceMs ?? 1000;
+    this.undoStack = []; // groups: { patches, selBefore, selAfter, kind, at }
+    this.redoStack = [];
+    this.snapshot = '';
+    this.sel = { start:0, end:0 }; // selection just before the next change
+    this.open = false;             // top group may still absorb typing
+    this.applying = false;
+    this.txn = null;
+    this.ac = new AbortController();
+  }
+  init(){
+    const ta = this.editor.textarea;
+    this.snapshot = ta.value;
+    this.editor.history = this;
+    const sig = { signal: this.ac.signal };
+    const track = () => { this.sel = this.selection(); };
+    for (const ev of ['keyup','mouseup','select','focus']) ta.addEventListener(ev, track, sig);
+    ta.addEventListener('mousedown', () => this.breakGroup(), sig);
+    ta.addEventListener('beforeinput', (e) => {
+      // Edit menu / OS-level undo
+      if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+        e.preventDefault();
+        e.inputType === 'historyUndo' ? this.undo() : this.redo();
+        return;
+      }
+      track();
+    }, sig);
+  }
+  onKeydown(e){
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z') { e.preventDefault(); e.shiftKey ? this.redo() : this.undo(); return true; }
+    if (mod && key === 'y') { e.preventDefault(); this.redo(); return true; }
+    if (/^(Arrow|Page|Home|End)/.test(e.key)) this.breakGroup();
+    return false;
+  }
+  onInput(e, v){
+    const prev = this.snapshot;
+    this.snapshot = v;
+    if (prev === v || this.applying) return;
+    const patch = diffText(prev, v);
+    if (this.editor.state.isRemote) return this.rebase(patch);
+    this.record(patch, e?.inputType);
+  }
+  onReset(v){
+    // whole-document replace (discard draft, server sync): old patches no longer apply
+    this.snapshot = v;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.open = false;
+  }
+
+  // --- API ---
+  get canUndo(){ return this.undoStack.length > 0; }
+  get canRedo(){ return this.redoStack.length > 0; }
+  breakGroup(){ this.open = false; }
+  /** Run fn and record every change it makes as a single undo step */
+  transact(fn){
+    this.breakGroup();
+    this.txn = { patches: [], selBefore: this.selection(), selAfter: null, kind:'plugin', at: Date.now() };
+    try { return fn(); }
+    finally {
+      const g = this.txn;
+      this.txn = null;
+      if (g.patches.length) this.push(g);
+    }
+  }
+  undo(){
+    const g = this.undoStack.pop();
+    if (!g) return false;
+    const inverse = g.patches.slice().reverse().map(p => ({ from: p.from, removed: p.inserted, inserted: p.removed }));
+    this.apply(inverse, g.selBefore);
+    this.redoStack.push(g);
+    return true;
+  }
+  redo(){
+    const g = this.redoStack.pop();
+    if (!g) return false;
+    this.apply(g.patches, g.selAfter);
+    this.undoStack.push(g);
+    return true;
+  }
+
+  // --- internals ---
+  selection(){
+    const ta = this.editor.textarea;
+    return { start: ta.selectionStart, end: ta.selectionEnd };
+  }
+  record(patch, inputType){
+    const selAfter = this.selection();
+    this.redoStack = [];
+    if (this.txn) {
+      this.txn.patches.push(patch);
+      this.txn.selAfter = selAfter;
+      this.sel = selAfter;
+      return;
+    }
+    // native input events carry inputType; synthetic ones come from plugins
+    const kind = !inputType ? 'plugin' : (patch.removed && !patch.inserted ? 'delete' : 'insert');
+    const top = this.undoStack[this.undoStack.length-1];
+    const now = Date.now();
+    if (this.open && top && kind !== 'plugin' && top.kind === kind && now - top.at < this.coalesceMs
+        && !patch.inserted.includes('\n') && this.adjacent(top.patches[top.patches.length-1], patch)) {
+      top.patches.push(patch);
+      top.selAfter = selAfter;
+      top.at = now;
+    } else {
+      this.push({ patches:[patch], selBefore: this.sel, selAfter, kind, at: now });
+    }
+    this.open = kind !== 'plugin';
+    this.sel = selAfter;
+  }
+  push(group){
+    this.undoStack.push(group);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+  }
+  adjacent(prev, next){
+    if (next.from === prev.from + prev.inserted.length) return true; // typing forward / Delete key
+    return next.from + next.removed.length === prev.from;            // Backspace
+  }
+  apply(patches, sel){
+    const ta = this.editor.textarea;
+    this.applying = true;
+    try {
+      for (const p of patches) ta.setRangeText(p.inserted, p.from, p.from + p.removed.length, 'end');
+      ta.setSelectionRange(sel.start, sel.end);
+      this.editor.onInput(new Event('input')); // reaches preview, drafts and collab like any local edit
+    } finally {
+      this.applying = false;
+    }
+    this.sel = sel;
+    this.open = false;
+  }
+  /** Shift stored patches around a remote change; drop history that overlaps it */
+  rebase(r){
+    const remote = { from: r.from, to: r.from + r.removed.length, delta: r.inserted.length - r.removed.length };
+    const mapPos = (pos, op) => {
+      if (pos < op.from) return pos;
+      if (pos >= op.to) return pos + op.delta;
+      return op.to + op.delta; // inside the replaced range: end of the new text
+    };
+    // undo patches are walked newest-first in "after" coordinates
+    this.undoStack = this.rebaseStack(this.undoStack, { ...remote }, mapPos, true);
+    this.redoStack = this.rebaseStack(this.redoStack, { ...remote }, mapPos, false);
+    this.sel = { start: mapPos(this.sel.start, remote), end: mapPos(this.sel.end, remote) };
+  }
+  rebaseStack(stack, op, mapPos, isUndo){
+    for (let i = stack.length - 1; i >= 0; i--) {
+      const g = stack[i];
+      const sel = isUndo ? 'selAfter' : 'selBefore';
+      g[sel] = { start: mapPos(g[sel].start, op), end: mapPos(g[sel].end, op) };
+      const patches = isUndo ? g.patches.slice().reverse() : g.patches;
+      for (const p of patches) {
+        const [here, there] = isUndo ? [p.inserted, p.removed] : [p.removed, p.inserted];
+        if (op.to <= p.from) {
+          p.from += op.delta;
+        } else if (op.from >= p.from + here.length) {
+          op.from += there.length - here.length;
+          op.to += there.length - here.length;
+        } else {
+          return stack.slice(i + 1); // overlaps a collaborator's edit: forget this and older groups
+        }
+      }
+      const other = isUndo ? 'selBefore' : 'selAfter';
+      g[other] = { start: mapPos(g[other].start, op), end: mapPos(g[other].end, op) };
+    }
+    return stack;
+  }
+  destroy(){
+    this.ac.abort();
+    if (this.editor.history === this) this.editor.history = null;
+  }
+}
+
+/** ScrollSyncPlugin
+ * Keeps textarea and preview aligned while either one scrolls, and switches between
+ * editor-only / split / preview-only layouts.
+ * - Anchors come from the renderer's data-source-line annotations (PreviewPlugin sourcePositions)
+ * - Source line y-offsets are measured once per map rebuild with the shared textarea mirror
+ * - Positions between anchors are interpolated, so long paragraphs scroll smoothly
+ * Markup hooks: [data-role="editor-pane"], [data-role="preview-pane"], [data-layout] buttons.
+ */
+export class ScrollSyncPlugin {
+  constructor(editor, opts={}) {
+    this.editor = editor;
+    this.storageKey = opts.storageKey ?? 'stwiki.editor.layout';
+    this.layout = 'split';
+    this.map = null; // [{ e, p }] editor/preview y pairs, both ascending; null = stale
+    this.ignore = { editor: null, preview: null }; // scrollTop we set ourselves, to swallow the echo
+    this.frame = 0;
+    this.ac = new AbortController();
+  }
+  init(){
+    const { editor } = this;
+    const { signal } = this.ac;
+    this.scroller = editor.previewEl && scrollParent(editor.previewEl);
+    if (this.scroller) {
+      const invalidate = () => { this.map = null; };
+      editor.textarea.addEventListener('scroll', () => this.schedule('editor'), { signal });
+      this.scroller.addEventListener('scroll', () => this.schedule('preview'), { signal });
+      window.addEventListener('resize', invalidate, { signal });
+      // preview patches and late-loading images both move anchors
+      this.mutations = new MutationObserver(invalidate);
+      this.mutations.observe(editor.previewEl, { childList: true, subtree: true });
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizes = new ResizeObserver(invalidate);
+        this.resizes.observe(editor.previewEl);
+        this.resizes.observe(editor.textarea);
+      }
+    }
+    editor.container.addEventListener('click', (e) => {
+      const btn = e.target.closest?.('[data-layout]');
+      if (btn && editor.container.contains(btn)) this.setLayout(btn.dataset.layout);
+    }, { signal });
+    let saved = null;
+    try { saved = localStorage.getItem(this.storageKey); } catch {}
+    this.setLayout(saved || 'split', { persist: false });
+  }
+  onInput(){ this.map = null; }
+  onReset(){ this.map = null; }
+
+  setLayout(mode, { persist = true } = {}) {
+    if (!['editor', 'split', 'preview'].includes(mode)) return;
+    const { container } = this.editor;
+    this.layout = mode;
+    container.dataset.layout = mode;
+    for (const btn of container.querySelectorAll('[data-layout]')) {
+      const on = btn.dataset.layout === mode;
+      btn.classList.toggle('active', on);
+      btn.setAttribute('aria-pressed', String(on));
+    }
+    if (persist) { try { localStorage.setItem(this.storageKey, mode); } catch {} }
+    this.map = null;
+    if (mode === 'split') this.schedule('editor');
+  }
+
+  schedule(from) {
+    const el = from === 'editor' ? this.editor.textarea : this.scroller;
+    const echo = this.ignore[from];
+    if (echo !== null && Math.abs(el.scrollTop - echo) < 2) { this.ignore[from] = null; return; }
+    this.ignore[from] = null;
+    cancelAnimationFrame(this.frame);
+    this.frame = requestAnimationFrame(() => this.sync(from));
+  }
+
+  sync(from) {
+    if (this.layout !== 'split' || !this.scroller) return;
+    const map = this.map || (this.map = this.buildMap());
+    const [src, dst, a, b] = from === 'editor'
+      ? [this.editor.textarea, this.scroller, 'e', 'p']
+      : [this.scroller, this.editor.textarea, 'p', 'e'];
+    const target = Math.round(interpolate(map, a, b, src.scrollTop));
+    const max = dst.scrollHeight - dst.clientHeight;
+    const top = Math.max(0, Math.min(max, target));
+    if (Math.abs(dst.scrollTop - top) < 2) return;
+    this.ignore[from === 'editor' ? 'preview' : 'editor'] = top;
+    dst.scrollTop = top;
+  }
+
+  buildMap() {
+    const { textarea, previewEl } = this.editor;
+    const origin = this.scroller.getBoundingClientRect().top - this.scroller.scrollTop;
+    const anchors = new Map(); // line -> preview y of its outermost element
+    for (const el of previewEl.querySelectorAll('[data-source-line]:not(input)')) {
+      const line = Number(el.dataset.sourceLine);
+      if (!anchors.has(line)) anchors.set(line, el.getBoundingClientRect().top - origin);
+    }
+    const lineY = measureLines(this.editor, [...anchors.keys()]);
+    const map = [{ e: 0, p: 0 }];
+    for (const [line, p] of [...anchors].sort((x, y) => x[0] - y[0])) {
+      const e = lineY.get(line);
+      const last = map[map.length - 1];
+      if (e === undefined || e < last.e || p < last.p) continue; // keep both sides monotonic
+      map.push({ e, p });
+    }
+    map.push({ e: Math.max(textarea.scrollHeight, map[map.length - 1].e), p: Math.max(this.scroller.scrollHeight, map[map.length - 1].p) });
+    return map;
+  }
+
+  destroy(){
+    this.ac.abort();
+    cancelAnimationFrame(this.frame);
+    this.mutations?.disconnect();
+    this.resizes?.disconnect();
+  }
+}
+
+const TEMPLATE_MODES = new Set(['template', 'param', 'value']);
+// Utility: identifies one completion session; results and dismissals carry over only within it
+const sessionKey = (ctx) => [ctx.mode, ctx.start, ctx.slug, ctx.name, ctx.key].join('\u0000');
+let autocompleteCount = 0; // unique listbox ids when a page hosts several editors
+
+/** AutocompletePlugin: [[page]], [[media:file]], [[page#heading]] and {{template param=value}} suggestions at the caret
  * - Owns a dropdown inside container
- * - Never touches document listeners; uses container-level only
+ * - Never touches document listeners; uses container/textarea-level only
+ * - Keeps filtering while the user types: the last results are re-ranked locally right away and a
+ *   debounced server query (superseded ones aborted) refreshes them
+ * - ARIA combobox semantics: the textarea points at the listbox (aria-controls) and the highlighted
+ *   option (aria-activedescendant) while keeping focus; a polite live region announces result counts
  */
 export class AutocompletePlugin {
   constructor(editor, opts={}) {
     this.editor = editor;
-    this.fetchPages = opts.fetchPages || (async ()=>[]);
-    this.fetchMedia = opts.fetchMedia || (async ()=>[]);
+    // fetchers: (query, { signal }) -> [{ value, title, sub, path }]
+    this.fetchPages = opts.fetchPages || (async (query, { signal } = {}) => {
+      const response = await fetch(`/api/wiki/suggest?q=${encodeURIComponent(query)}`, { signal });
+      if (!response.ok) return [];
+      return (await response.json()).items.map(p => ({ value: p.slug, title: p.title, sub: p.path, path: p.path }));
+    });
+    this.fetchMedia = opts.fetchMedia || (async (query, { signal } = {}) => {
+      const response = await fetch(`/api/media/suggest?q=${encodeURIComponent(query)}`, { signal });
+      if (!response.ok) return [];
+      return (await response.json()).items.map(m => ({ value: m.fileName, title: m.fileName, sub: m.contentType }));
+    });
+    // headings of another page, for [[page#...]]: [{ id, text, level }]
+    this.fetchHeadings = opts.fetchHeadings || (async (slug, { signal } = {}) => {
+      const response = await fetch(`/api/wiki/lookup?slugs=${encodeURIComponent(slug)}&headings=true`, { signal });
+      return response.ok ? ((await response.json()).headings?.[slug] || []) : [];
+    });
+    // template registry for {{...}}: Map name -> { name, description, parameters }
+    this.fetchTemplates = opts.fetchTemplates || loadTemplateRegistry;
+    this.templates = null; // registry once loaded, for validating the macro being typed
+    this.limit = opts.limit ?? 20;
+    this.debounced = debounce(() => this.query(), opts.delay ?? 150);
+    this.context = null; // { mode, start, from, query, ... } of the [[ or {{ being typed
+    this.items = []; // latest results for this context, re-ranked as the query grows
+    this.request = null; // AbortController of the in-flight query
+    this.dismissed = null; // sessionKey closed with Escape or just completed; stays closed until the context changes
+    this.headingCache = new Map(); // slug -> Promise<headings>
     this.dropdown = null;
+    this.list = null; // role=listbox inside the dropdown; warnings sit outside it
+    this.status = null; // live region
+    this.announced = '';
     this.ac = new AbortController();
   }
   init(){
     // create dropdown once
+    const id = `wiki-autocomplete-${++autocompleteCount}`;
     this.dropdown = document.createElement('div');
     this.dropdown.className = 'autocomplete d-none';
     this.dropdown.setAttribute('data-role','autocomplete');
-    this.editor.container.appendChild(this.dropdown);
+    this.dropdown.innerHTML = `<div data-role="autocomplete-warnings"></div><div role="listbox" id="${id}" aria-label="Suggestions"></div>`;
+    this.list = this.dropdown.lastChild;
+    this.status = document.createElement('div');
+    this.status.className = 'visually-hidden';
+    this.status.setAttribute('role', 'status');
+    this.status.setAttribute('aria-live', 'polite');
+    this.editor.container.append(this.dropdown, this.status);
 
     // local listeners
     this.editor.container.addEventListener('mousedown', (e)=>{
@@ -555,66 +1251,240 @@ export class AutocompletePlugin {
       e.preventDefault();
       this.apply(item.dataset.value);
     }, { signal: this.ac.signal });
+    const ta = this.editor.textarea;
+    // ARIA 1.2 combobox: the textarea owns the listbox, aria-expanded tells whether it is showing
+    ta.setAttribute('role', 'combobox');
+    ta.setAttribute('aria-expanded', 'false');
+    ta.setAttribute('aria-autocomplete', 'list');
+    ta.setAttribute('aria-controls', id);
+    ta.addEventListener('scroll', () => this.isOpen() && this.position(), { signal: this.ac.signal });
+    ta.addEventListener('blur', () => this.hide(), { signal: this.ac.signal });
 
     // keydown steering stays in onKeydown to avoid multi-handlers
   }
+  // The unclosed [[ or {{ before the caret, if any: what kind of target it is and what was typed so far.
+  // `from` is where the part being completed starts.
+  contextAt(before){
+    const start = before.lastIndexOf('[['), macro = before.lastIndexOf('{{');
+    if (macro > start) return this.templateContextAt(before, macro);
+    if (start < 0) return null;
+    const typed = before.slice(start + 2);
+    if (/[[\]|\n]/.test(typed)) return null; // closed, on to display text, or on another line
+    if (/^media:/i.test(typed)) return { mode: 'media', start, from: start + 8, slug: '', query: typed.slice(6) };
+    const hash = typed.indexOf('#');
+    if (hash >= 0) return { mode: 'heading', start, from: start + 3 + hash, slug: typed.slice(0, hash).trim(), query: typed.slice(hash + 1) };
+    return { mode: 'page', start, from: start + 2, slug: '', query: typed };
+  }
+  // {{name param=value ...: the template name, a parameter name, or a parameter value
+  templateContextAt(before, start){
+    const typed = before.slice(start + 2);
+    if (/[{}\n]/.test(typed)) return null;
+    const current = typed.slice(typed.search(/\S*$/));
+    const done = typed.slice(0, typed.length - current.length);
+    if (!done) return { mode: 'template', start, from: start + 2, query: typed, typed, done };
+    const name = done.trim().split(/\s+/)[0];
+    const eq = current.indexOf('=');
+    if (eq < 0) return { mode: 'param', start, from: before.length - current.length, name, query: current, typed, done };
+    return { mode: 'value', start, from: before.length - current.length + eq + 1, name, key: current.slice(0, eq), query: current.slice(eq + 1), typed, done };
+  }
   onInput(e){
     const ta = this.editor.textarea;
-    const before = ta.value.slice(0, ta.selectionStart);
-    if (/\[\[$/i.test(before)) return this.open('page');
-    if (/\[\[media:$/i.test(before)) return this.open('media');
-    this.hide();
+    const ctx = ta.selectionStart === ta.selectionEnd ? this.contextAt(ta.value.slice(0, ta.selectionStart)) : null;
+    const key = ctx && sessionKey(ctx);
+    if (!ctx || key === this.dismissed) return this.hide(key === this.dismissed ? key : null);
+    if (!this.context || sessionKey(this.context) !== key) this.items = [];
+    this.context = ctx;
+    this.show();
+    if (TEMPLATE_MODES.has(ctx.mode)) this.query(); // local registry, nothing to debounce
+    else this.debounced();
   }
   onKeydown(e){
-    if (this.dropdown?.classList.contains('d-none')) return false;
-    if (e.key === 'Escape') { this.hide(); return true; }
+    if (!this.isOpen()) return false;
+    if (e.key === 'Escape') { this.hide(this.context && sessionKey(this.context)); return true; }
+    const all = this.options();
+    if (!all.length) return false; // only warnings showing: keys keep editing
     if (e.key === 'Enter' || e.key === 'Tab') {
       e.preventDefault();
-      const el = this.dropdown.querySelector('[data-item].selected') || this.dropdown.querySelector('[data-item]');
-      if (el) this.apply(el.dataset.value);
+      this.apply((all.find(x => x.classList.contains('selected')) || all[0]).dataset.value);
       return true;
     }
-    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
-      e.preventDefault();
-      this.move(e.key === 'ArrowDown' ? 1 : -1);
-      return true;
+    if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return false; // Ctrl+Home etc. still move the caret
+    const to = { ArrowDown: 1, ArrowUp: -1, PageDown: this.pageSize(), PageUp: -this.pageSize() }[e.key];
+    if (to !== undefined) this.move(to);
+    else if (e.key === 'Home') this.select(0);
+    else if (e.key === 'End') this.select(all.length - 1);
+    else return false;
+    e.preventDefault();
+    return true;
+  }
+  async query(){
+    const ctx = this.context;
+    if (!ctx) return;
+    this.request?.abort();
+    const request = this.request = new AbortController();
+    const options = { signal: request.signal };
+    try {
+      const items = ctx.mode === 'media' ? await this.fetchMedia(ctx.query, options)
+        : ctx.mode === 'heading' ? await this.headingItems(ctx.slug, options)
+        : TEMPLATE_MODES.has(ctx.mode) ? await this.templateItems(ctx)
+        : await this.fetchPages(ctx.query, options);
+      // a reply for an earlier query of the same [[ is still useful: show() re-ranks it for the current one
+      const now = this.context;
+      if (request.signal.aborted || !now || sessionKey(now) !== sessionKey(ctx)) return;
+      this.items = items;
+      this.show();
+    } catch (error) {
+      if (error.name !== 'AbortError') console.warn('[AutocompletePlugin] Suggestion query failed:', error);
+    } finally {
+      if (this.request === request) this.request = null;
     }
-    return false;
   }
-  async open(mode){
-    const items = mode === 'media' ? await this.fetchMedia() : await this.fetchPages();
-    if (!items.length) return this.hide();
-    this.dropdown.innerHTML = items.map((it,i)=>
-      `<div data-item data-value="${it.value}" class="autocomplete-item${i===0?' selected':''}">
-         <div class="t">${it.title||it.value}</div>
-         ${it.sub ? `<div class="s">${it.sub}</div>`:''}
+  async headingItems(slug, options){
+    let list;
+    if (slug) {
+      // one request per page; a failed one is retried next time
+      if (!this.headingCache.has(slug)) {
+        this.headingCache.set(slug, this.fetchHeadings(slug, options).catch((error) => { this.headingCache.delete(slug); throw error; }));
+      }
+      list = await this.headingCache.get(slug);
+    }
+    else if (this.editor.format === 'html') list = htmlHeadings(this.editor.value);
+    else list = headings(parse(this.editor.value)); // same ids the preview and view page render
+    return list.map(h => ({ value: h.id, title: h.text || h.id, sub: `${'#'.repeat(h.level)} ${h.id}` }));
+  }
+  async templateItems(ctx){
+    const registry = this.templates = await this.fetchTemplates();
+    if (ctx.mode === 'template') {
+      return [...registry.values()].map(t => ({ value: t.name, title: t.name, sub: t.description }));
+    }
+    const params = registry.get(ctx.name)?.parameters || [];
+    if (ctx.mode === 'param') {
+      const used = new Set(parseTemplateMacro(ctx.done).params.map(p => p.key));
+      return params.filter(p => !used.has(p.name)).map(p => ({
+        value: p.name,
+        title: `${p.name}=${p.allowedValues?.length ? p.allowedValues.join('|') : p.type}`,
+        sub: p.default != null ? `${p.description} · default ${p.default}` : p.description,
+      }));
+    }
+    const param = params.find(p => p.name === ctx.key);
+    return (param?.allowedValues || []).map(v => ({ value: v, title: v, sub: v === param.default ? 'default' : '' }));
+  }
+  // problems in the {{...}} typed so far; the word still being typed is only judged once it has a value
+  templateWarnings(ctx){
+    if (!this.templates || ctx.mode === 'template') return [];
+    return validateTemplate(ctx.mode === 'value' && ctx.query ? ctx.typed : ctx.done, this.templates);
+  }
+  show(){
+    const ranked = rankItems(this.items, this.context.query).slice(0, this.limit);
+    const warnings = TEMPLATE_MODES.has(this.context.mode) ? this.templateWarnings(this.context) : [];
+    if (!ranked.length && !warnings.length) return this.collapse();
+    const keep = this.list.querySelector('[data-item].selected')?.dataset.value;
+    const selected = Math.max(0, ranked.findIndex(it => it.value === keep));
+    this.dropdown.firstChild.innerHTML = warnings.map(w =>
+      `<div class="autocomplete-warning"><i class="bi bi-exclamation-triangle me-1" aria-hidden="true"></i>${esc(w)}</div>`).join('');
+    this.list.innerHTML = ranked.map((it,i)=>
+      `<div data-item data-value="${esc(it.value)}" id="${this.list.id}-${i}" role="option" aria-selected="false" class="autocomplete-item">
+         <div class="t">${esc(it.title||it.value)}</div>
+         ${it.sub ? `<div class="s">${esc(it.sub)}</div>`:''}
        </div>`).join('');
     this.dropdown.classList.remove('d-none');
-    // naive positioning: stick to bottom-left of textarea; refine if you want caret-based positioning
-    const r = this.editor.textarea.getBoundingClientRect();
-    Object.assign(this.dropdown.style, { position:'absolute', left:`${r.left + window.scrollX}px`, top:`${r.bottom + window.scrollY + 4}px`, zIndex:1000 });
+    this.editor.textarea.setAttribute('aria-expanded', 'true');
+    this.position();
+    if (ranked.length) this.select(selected);
+    else this.editor.textarea.removeAttribute('aria-activedescendant'); // only warnings: no option to point at
+    this.announce([
+      ranked.length ? `${ranked.length} suggestion${ranked.length === 1 ? '' : 's'} available` : 'No suggestions',
+      ...warnings,
+    ].join('. '));
+  }
+  // only changes are spoken, so re-ranking the same number of results while typing stays quiet
+  announce(text){
+    if (text === this.announced) return;
+    this.announced = this.status.textContent = text;
   }
+  // anchor under the [[ being completed, measured with the shared mirror div
+  position(){
+    const ta = this.editor.textarea;
+    const caret = caretOffset(this.editor, this.context.start);
+    const host = this.dropdown.offsetParent || document.body;
+    const t = ta.getBoundingClientRect(), h = host.getBoundingClientRect();
+    Object.assign(this.dropdown.style, {
+      position: 'absolute', zIndex: 1000,
+      left: `${t.left - h.left + host.scrollLeft + ta.clientLeft + caret.left - ta.scrollLeft}px`,
+      top: `${t.top - h.top + host.scrollTop + ta.clientTop + caret.top + caret.height - ta.scrollTop + 4}px`,
+    });
+  }
+  options(){ return [...this.list.querySelectorAll('[data-item]')]; }
   move(delta){
-    const all = [...this.dropdown.querySelectorAll('[data-item]')];
-    const i = Math.max(0, Math.min(all.length-1, all.findIndex(x=>x.classList.contains('selected')) + delta));
-    all.forEach(x=>x.classList.remove('selected'));
-    all[i].classList.add('selected');
+    const all = this.options();
+    this.select(all.findIndex(x=>x.classList.contains('selected')) + delta);
+  }
+  // highlight an option, clamped to the list; focus stays in the textarea, which points at it
+  select(index){
+    const all = this.options();
+    if (!all.length) return;
+    const i = Math.max(0, Math.min(all.length-1, index));
+    all.forEach((x,j)=>{ x.classList.toggle('selected', j===i); x.setAttribute('aria-selected', String(j===i)); });
+    this.editor.textarea.setAttribute('aria-activedescendant', all[i].id);
     all[i].scrollIntoView({ block:'nearest' });
   }
+  // options that fit in the dropdown at once, for PageUp/PageDown
+  pageSize(){
+    const item = this.list.querySelector('[data-item]');
+    return item?.offsetHeight ? Math.max(1, Math.floor(this.dropdown.clientHeight / item.offsetHeight)) : 5;
+  }
   apply(value){
+    const ctx = this.context;
+    if (!ctx) return this.hide();
+    if (TEMPLATE_MODES.has(ctx.mode)) return this.applyTemplate(ctx, value);
     const ta = this.editor.textarea;
     const pos = ta.selectionStart;
-    const before = ta.value.slice(0, pos);
-    const start = before.lastIndexOf('[[');
-    if (start < 0) return this.hide();
-    const mode = /\[\[media:/i.test(before.slice(start)) ? 'media' : 'page';
-    const replacement = mode === 'media' ? `[[media:${value}]]` : `[[${value}]]`;
-    ta.setRangeText(replacement, start, pos, 'end');
-    this.editor.onInput(new Event('input'));
+    // completing inside an existing [[...]] reuses its closing brackets
+    const end = ta.value.startsWith(']]', pos) ? pos + 2 : pos;
+    const replacement = ctx.mode === 'media' ? `[[media:${value}]]`
+      : ctx.mode === 'heading' ? `[[${ctx.slug}#${value}]]`
+      : `[[${value}]]`;
     this.hide();
+    ta.setRangeText(replacement, ctx.start, end, 'end');
+    this.editor.onInput(new Event('input'));
+  }
+  applyTemplate(ctx, value){
+    const ta = this.editor.textarea;
+    const pos = ta.selectionStart;
+    let text = value, caret = null;
+    if (ctx.mode === 'param') {
+      text = `${value}=`; // stays open: the value list comes next
+    } else if (ctx.mode === 'template' && !ta.value.startsWith('}}', pos)) {
+      text = `${value}}}`;
+      // templates with parameters leave the caret inside the braces, ready for " param=value"
+      if (this.templates?.get(value)?.parameters?.length) caret = ctx.from + value.length;
+    }
+    this.hide(ctx.mode === 'param' ? null : sessionKey(ctx)); // don't reopen on what was just chosen
+    ta.setRangeText(text, ctx.from, pos, 'end');
+    if (caret !== null) ta.setSelectionRange(caret, caret);
+    this.editor.onInput(new Event('input'));
+  }
+  isOpen(){ return !!this.dropdown && !this.dropdown.classList.contains('d-none'); }
+  hide(dismissed = null){
+    this.dismissed = dismissed;
+    this.context = null;
+    this.items = [];
+    this.request?.abort();
+    this.collapse();
+  }
+  collapse(){
+    this.dropdown?.classList.add('d-none');
+    if (this.dropdown) this.editor.textarea.setAttribute('aria-expanded', 'false');
+    this.editor.textarea.removeAttribute('aria-activedescendant');
+    if (this.status) this.announced = this.status.textContent = '';
+  }
+  destroy(){
+    this.request?.abort();
+    this.ac.abort();
+    this.dropdown?.remove();
+    this.status?.remove();
+    ['role', 'aria-expanded', 'aria-autocomplete', 'aria-controls', 'aria-activedescendant'].forEach(a => this.editor.textarea.removeAttribute(a));
   }
-  hide(){ this.dropdown?.classList.add('d-none'); }
-  destroy(){ this.ac.abort(); this.dropdown?.remove(); }
 }
 
 /** DragDropPlugin (skeleton)
@@ -733,31 +1603,393 @@ export class DragDropPlugin {
   destroy(){ this.ac.abort(); this.overlay?.remove(); }
 }
 
-/** CollabPlugin (skeleton)
- * Remote ops guarded by state.isRemote to avoid echo.
+// Utility: text patch -> collab operation { type: 'insert'|'delete'|'replace', position, length, text }
+const toOperation = ({ from, removed, inserted }) => ({
+  type: !removed ? 'insert' : !inserted ? 'delete' : 'replace',
+  position: from,
+  length: removed.length,
+  text: inserted,
+});
+
+/** CollabPlugin
+ * Sends local edits as minimal operations instead of the whole document.
+ * - Each change is diffed against the previous snapshot, using the caret to place ambiguous edits
+ * - Operations from one animation frame form a batch; typing and backspacing runs within it are merged
+ * - Batches go through an OTClient (ot.js): one in flight at a time as send({ baseVersion, ops }),
+ *   the rest held until ack(); receive() transforms other clients' ops over the unacknowledged ones
+ * - The local selection and remote cursors (cursors: user id -> { start, end }) are rebased over
+ *   every change; plugins hear about cursor moves through onRemoteCursors(cursors)
+ * - Remote ops guarded by state.isRemote to avoid echo
+ * Exposed as editor.collab.
  */
 export class CollabPlugin {
   constructor(editor, opts={}) {
     this.editor = editor;
     this.send = opts.send || (()=>{});
+    this.snapshot = '';
+    this.pending = []; // operations of the current frame, in order
+    this.frame = 0;
+    this.cursors = new Map();
+    this.ot = new OTClient({
+      revision: opts.version ?? 0,
+      send: (revision, ops) => this.send({ baseVersion: revision, ops }),
+      apply: (ops) => this.applyOps(ops),
+    });
+  }
+  /** Server revision the document is based on */
+  get version(){ return this.ot.revision; }
+  init(){
+    this.snapshot = this.editor.value;
+    this.editor.collab = this;
   }
   onInput(e, v){
-    if (this.editor.state.isRemote) return;
-    this.send({ type:'set', value: v });
+    const prev = this.snapshot;
+    this.snapshot = v;
+    if (prev === v || this.editor.state.isRemote) return;
+    const op = toOperation(diffText(prev, v, this.editor.textarea.selectionEnd));
+    this.queue(op);
+    this.rebaseCursors(normalize([op]));
+  }
+  onReset(v){
+    // whole-document replace (server sync, discarded draft) is not an edit to share;
+    // remote cursors pointed into the old text
+    this.flush();
+    this.snapshot = v;
+    if (this.cursors.size) { this.cursors.clear(); this.notifyCursors(); }
   }
-  applyInsert(pos, text){
+  queue(op){
+    const last = this.pending[this.pending.length-1];
+    if (last?.type === 'insert' && op.type === 'insert' && op.position === last.position + last.text.length) {
+      last.text += op.text;
+    } else if (last?.type === 'delete' && op.type === 'delete' && op.position + op.length === last.position) {
+      last.position = op.position; // Backspace
+      last.length += op.length;
+    } else if (last?.type === 'delete' && op.type === 'delete' && op.position === last.position) {
+      last.length += op.length; // Delete key
+    } else {
+      this.pending.push(op);
+    }
+    if (!this.frame) this.frame = requestAnimationFrame(() => this.flush());
+  }
+  flush(){
+    cancelAnimationFrame(this.frame);
+    this.frame = 0;
+    if (!this.pending.length) return;
+    const ops = this.pending;
+    this.pending = [];
+    this.ot.applyLocal(ops);
+  }
+
+  // --- server messages ---
+  /** The server accepted the batch in flight */
+  ack(){ this.ot.serverAck(); }
+  /** Another client's batch, relayed in revision order */
+  receive(ops){
+    this.flush(); // local ops of this frame were made before the remote ones arrived
+    this.ot.applyServer(ops);
+  }
+  applyInsert(pos, text){ this.receive([{ type: 'insert', position: pos, length: 0, text }]); }
+  applyDelete(pos, len){ this.receive([{ type: 'delete', position: pos, length: len, text: '' }]); }
+  /** A remote user's selection, in server coordinates; null removes it */
+  setRemoteCursor(id, sel){
+    if (sel) this.cursors.set(id, this.ot.transformCursor(sel));
+    else this.cursors.delete(id);
+    this.notifyCursors();
+  }
+
+  // --- internals ---
+  applyOps(ops){
     const ta = this.editor.textarea;
     this.editor.state.isRemote = true;
-    ta.setRangeText(text, pos, pos, 'end');
-    this.editor.onInput(new Event('input'));
-    this.editor.state.isRemote = false;
+    try {
+      // one input per op, so every plugin sees single-range changes
+      for (const op of ops) {
+        const sel = transformSelection({ start: ta.selectionStart, end: ta.selectionEnd }, [op]);
+        ta.setRangeText(op.text, op.position, op.position + op.length);
+        ta.setSelectionRange(sel.start, sel.end);
+        this.editor.onInput(new Event('input'));
+      }
+    } finally {
+      this.editor.state.isRemote = false;
+    }
+    this.rebaseCursors(ops);
+  }
+  rebaseCursors(ops){
+    if (!this.cursors.size) return;
+    for (const [id, sel] of this.cursors) this.cursors.set(id, transformSelection(sel, ops));
+    this.notifyCursors();
+  }
+  notifyCursors(){
+    for (const p of this.editor.plugins) p.onRemoteCursors?.(this.cursors);
+  }
+  destroy(){
+    this.flush();
+    if (this.editor.collab === this) this.editor.collab = null;
+  }
+}
+
+// Utility: stable fallback colour for a user without one
+const userColor = (id) => {
+  let h = 0;
+  for (const ch of String(id)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return `hsl(${h % 360}, 65%, 45%)`;
+};
+
+/** PresencePlugin: other users' carets and selections drawn over the textarea, with name labels
+ * - update(id, { start, end, name, color }) / remove(id); positions are in server coordinates and go
+ *   through editor.collab when present, which rebases them over every local and remote edit
+ * - Without a CollabPlugin the positions are rebased here, from the same input events
+ * - Redrawn once per frame after edits, textarea scroll and resize; labels fade after labelMs without news
+ * - Roster in [data-role="presence"] (optional): colour, active/idle (idleMs without news) and the
+ *   section of each user's cursor; clicking a name scrolls to them, the follow button keeps their
+ *   cursor in view until it is pressed again or you type
+ * Exposed as editor.presence.
+ */
+export class PresencePlugin {
+  constructor(editor, opts={}) {
+    this.editor = editor;
+    this.labelMs = opts.labelMs ?? 3000;
+    this.idleMs = opts.idleMs ?? 60000;
+    this.users = new Map(); // id -> { name, color, seen, active, el, selection, timer }
+    this.own = new Map(); // id -> { start, end } when there is no CollabPlugin to keep them
+    this.snapshot = '';
+    this.overlay = null;
+    this.roster = null;
+    this.following = null; // id whose cursor is kept in view
+    this.outlineCache = null; // { value, list: [{ index, text }] } headings for the roster's sections
+    this.refreshRoster = debounce(() => this.renderRoster(), 250);
+    this.frame = 0;
+    this.ticker = 0;
+    this.ac = new AbortController();
   }
-  applyDelete(pos, len){
+  init(){
     const ta = this.editor.textarea;
-    this.editor.state.isRemote = true;
-    ta.setRangeText('', pos, pos+len, 'end');
-    this.editor.onInput(new Event('input'));
-    this.editor.state.isRemote = false;
+    const { signal } = this.ac;
+    this.editor.presence = this;
+    this.snapshot = ta.value;
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'remote-cursor-overlay';
+    this.overlay.setAttribute('aria-hidden', 'true');
+    ta.insertAdjacentElement('afterend', this.overlay);
+    const redraw = () => this.schedule();
+    ta.addEventListener('scroll', redraw, { signal });
+    window.addEventListener('resize', redraw, { signal });
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizes = new ResizeObserver(redraw);
+      this.resizes.observe(ta);
+    }
+
+    this.roster = this.editor.container.querySelector('[data-role="presence"]');
+    if (this.roster) {
+      this.roster.addEventListener('click', (e) => {
+        const id = e.target.closest('[data-user-id]')?.dataset.userId;
+        if (!id) return;
+        if (e.target.closest('[data-follow]')) this.follow(this.following === id ? null : id);
+        else this.scrollTo(id);
+      }, { signal });
+      this.ticker = setInterval(() => this.renderRoster(), 15000); // active -> idle
+    }
+  }
+  onInput(e, v){
+    const prev = this.snapshot;
+    this.snapshot = v;
+    if (!this.editor.state.isRemote && this.following) this.follow(null); // typing takes the view back
+    if (!this.editor.collab && prev !== v && this.positions.size) {
+      const ops = normalize([toOperation(diffText(prev, v, this.editor.textarea.selectionEnd))]);
+      for (const [id, sel] of this.positions) this.positions.set(id, transformSelection(sel, ops));
+    }
+    this.schedule();
+  }
+  onReset(v){
+    this.snapshot = v;
+    if (!this.editor.collab) this.positions.clear();
+    this.schedule();
+    this.refreshRoster();
+  }
+  onRemoteCursors(){ this.schedule(); }
+  get positions(){ return this.editor.collab?.cursors ?? this.own; }
+
+  // --- API ---
+  update(id, { start, end = start, name, color } = {}){
+    let user = this.users.get(id);
+    if (!user) {
+      user = { name: id, color: userColor(id), seen: 0, active: false, el: null, selection: null, timer: 0 };
+      this.users.set(id, user);
+    }
+    if (name) user.name = name;
+    if (color) user.color = color;
+    const sel = { start: Math.min(start, end), end: Math.max(start, end) };
+    if (this.editor.collab) this.editor.collab.setRemoteCursor(id, sel);
+    else this.positions.set(id, sel);
+    // the label shows while the user is active
+    user.seen = Date.now();
+    user.active = true;
+    clearTimeout(user.timer);
+    user.timer = setTimeout(() => {
+      user.active = false;
+      user.el?.classList.remove('active');
+    }, this.labelMs);
+    this.schedule();
+    this.refreshRoster();
+  }
+  remove(id){
+    const user = this.users.get(id);
+    if (!user) return;
+    clearTimeout(user.timer);
+    user.el?.remove();
+    user.selection?.remove();
+    this.users.delete(id);
+    if (this.editor.collab) this.editor.collab.setRemoteCursor(id, null);
+    else this.positions.delete(id);
+    if (this.following === id) this.following = null;
+    this.refreshRoster();
+  }
+  /** Scroll the textarea to a user's cursor; `ifHidden` leaves it alone while the cursor is in view */
+  scrollTo(id, { ifHidden = false } = {}){
+    const sel = this.positions.get(id);
+    if (!sel) return;
+    const ta = this.editor.textarea;
+    const caret = caretOffset(this.editor, Math.min(sel.end, ta.value.length));
+    if (ifHidden && caret.top >= ta.scrollTop && caret.top + caret.height <= ta.scrollTop + ta.clientHeight) return;
+    ta.scrollTop = Math.max(0, caret.top - ta.clientHeight / 3);
+    if (!ifHidden) ta.scrollIntoView({ block: 'nearest' });
+  }
+  follow(id){
+    this.following = this.users.has(id) ? id : null;
+    if (this.following) this.scrollTo(this.following);
+    this.renderRoster();
+  }
+
+  // --- internals ---
+  schedule(){
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = 0;
+      if (this.following) this.scrollTo(this.following, { ifHidden: true });
+      this.layout();
+      for (const id of this.users.keys()) this.draw(id);
+    });
+  }
+  renderRoster(){
+    if (!this.roster || this.ac.signal.aborted) return;
+    const now = Date.now();
+    const items = [...this.users].map(([id, user]) => {
+      const sel = this.positions.get(id);
+      const idle = now - user.seen > this.idleMs;
+      const section = sel ? this.sectionAt(sel.end) : '';
+      const following = this.following === id;
+      return `<li class="presence-user${idle ? ' idle' : ''}" data-user-id="${esc(id)}">
+          <button type="button" class="btn btn-link btn-sm presence-name" title="Go to ${esc(user.name)}'s cursor">
+            <span class="presence-dot" style="background-color:${esc(user.color)}"></span>${esc(user.name)}
+          </button>
+          <small class="text-muted">${idle ? 'idle' : 'active'}${section ? ` · ${esc(section)}` : ''}</small>
+          <button type="button" class="btn btn-outline-secondary btn-sm presence-follow${following ? ' active' : ''}" data-follow
+                  aria-pressed="${following}" aria-label="Follow ${esc(user.name)}" title="Follow"><i class="bi bi-binoculars"></i></button>
+        </li>`;
+    });
+    this.roster.innerHTML = items.length ? `<ul class="list-unstyled d-flex flex-wrap gap-2 mb-0">${items.join('')}</ul>` : '';
+    this.roster.classList.toggle('d-none', !items.length);
+  }
+  // text of the nearest heading at or above a text index
+  sectionAt(index){
+    let text = '';
+    for (const h of this.outline()) {
+      if (h.index > index) break;
+      text = h.text;
+    }
+    return text;
+  }
+  outline(){
+    const v = this.editor.value;
+    if (this.outlineCache?.value !== v) {
+      let list;
+      if (this.editor.format === 'html') {
+        list = [...v.matchAll(RE_ANY_HEADING)].map(m => ({ index: m.index, text: decodeHtml(m[2].replace(/<[^>]+>/g, '')).trim() }));
+      } else {
+        const lineStarts = [0];
+        for (let i = v.indexOf('\n'); i >= 0; i = v.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+        list = headings(parse(v)).map(h => ({ index: lineStarts[h.line] ?? 0, text: h.text }));
+      }
+      this.outlineCache = { value: v, list };
+    }
+    return this.outlineCache.list;
+  }
+  // keep the overlay on the textarea's client area, so anything scrolled out of view is clipped
+  layout(){
+    const ta = this.editor.textarea;
+    Object.assign(this.overlay.style, {
+      left: `${ta.offsetLeft + ta.clientLeft}px`,
+      top: `${ta.offsetTop + ta.clientTop}px`,
+      width: `${ta.clientWidth}px`,
+      height: `${ta.clientHeight}px`,
+      right: 'auto', bottom: 'auto',
+    });
+  }
+  draw(id){
+    const user = this.users.get(id);
+    const sel = this.positions.get(id);
+    if (!sel) { // not placed yet, or its text was replaced wholesale
+      user.el?.remove(); user.selection?.remove();
+      user.el = user.selection = null;
+      return;
+    }
+    const ta = this.editor.textarea;
+    const len = ta.value.length;
+    const start = Math.min(sel.start, len), end = Math.min(sel.end, len);
+    const dx = -ta.scrollLeft, dy = -ta.scrollTop;
+    const caret = caretOffset(this.editor, end);
+
+    if (!user.el) {
+      user.el = document.createElement('div');
+      user.el.className = 'remote-cursor visible';
+      user.el.dataset.userId = id;
+      user.el.innerHTML = '<div class="remote-cursor-line"></div><div class="remote-cursor-label"></div>';
+      this.overlay.appendChild(user.el);
+    }
+    user.el.style.color = user.color;
+    user.el.classList.toggle('active', user.active);
+    user.el.classList.toggle('below', caret.top + dy < caret.height); // no room above the first visible line
+    user.el.lastChild.textContent = user.name;
+    user.el.lastChild.style.backgroundColor = user.color;
+    Object.assign(user.el.style, { left: `${caret.left + dx}px`, top: `${caret.top + dy}px`, height: `${caret.height}px` });
+
+    if (start === end) {
+      user.selection?.remove();
+      user.selection = null;
+      return;
+    }
+    if (!user.selection) {
+      user.selection = document.createElement('div');
+      user.selection.className = 'remote-selection visible';
+      user.selection.dataset.selectionUserId = id;
+      this.overlay.insertBefore(user.selection, this.overlay.firstChild); // under every caret
+    }
+    user.selection.style.color = user.color;
+    user.selection.innerHTML = this.selectionRects(caretOffset(this.editor, start), caret)
+      .map(r => `<div class="remote-selection-highlight" style="left:${r.left + dx}px;top:${r.top + dy}px;width:${r.width}px;height:${r.height}px;background-color:${esc(user.color)}"></div>`)
+      .join('');
+  }
+  // one rectangle per line is unnecessary: first line, the full-width block between, last line
+  selectionRects(a, b){
+    const cs = getComputedStyle(this.editor.textarea);
+    const left = parseFloat(cs.paddingLeft) || 0;
+    const right = this.editor.textarea.clientWidth - (parseFloat(cs.paddingRight) || 0);
+    if (b.top - a.top < a.height / 2) return [{ left: a.left, top: a.top, width: b.left - a.left, height: a.height }];
+    const rects = [{ left: a.left, top: a.top, width: Math.max(0, right - a.left), height: a.height }];
+    const middle = b.top - (a.top + a.height);
+    if (middle > 0) rects.push({ left, top: a.top + a.height, width: right - left, height: middle });
+    rects.push({ left, top: b.top, width: Math.max(0, b.left - left), height: b.height });
+    return rects;
+  }
+  destroy(){
+    this.ac.abort();
+    cancelAnimationFrame(this.frame);
+    this.resizes?.disconnect();
+    clearInterval(this.ticker);
+    for (const user of this.users.values()) clearTimeout(user.timer);
+    this.overlay?.remove();
+    if (this.roster) { this.roster.innerHTML = ''; this.roster.classList.add('d-none'); }
+    if (this.editor.presence === this) this.editor.presence = null;
   }
 }
 
@@ -766,7 +1998,7 @@ export function bootEditor(container, options={}) {
   const ed = new WikiEditor(container, {
     initialContent: options.initialContent,
     format: options.format,
-    plugins: options.plugins || [PreviewPlugin, StatsPlugin, FormattingPlugin]
+    plugins: options.plugins || [HistoryPlugin, PreviewPlugin, StatsPlugin, FormattingPlugin]
   });
   return ed;
 }
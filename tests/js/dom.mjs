@@ -0,0 +1,7 @@
+// Browser globals for the editor modules, backed by jsdom. Import before the module under test.
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+
+globalThis.window = window;
+for (const name of ['document', 'Node', 'HTMLElement', 'Event']) globalThis[name] = window[name];
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.mjs';
+import { sanitizeHtml, createSanitizer } from '../../src/STWiki/wwwroot/js/html-sanitizer.js';
+
+test('on* attributes are removed and reported', () => {
+  const { html, removed } = sanitizeHtml('<p onclick="alert(1)" class="x">hi</p><img src="a.png" onerror="alert(2)">');
+  assert.equal(html, '<p class="x">hi</p><img src="a.png">');
+  assert.deepEqual(removed, [
+    { kind: 'attribute', name: 'onclick', value: 'alert(1)' },
+    { kind: 'attribute', name: 'onerror', value: 'alert(2)' },
+  ]);
+});
+
+test('javascript: links are removed, however they are obfuscated', () => {
+  for (const href of ['javascript:alert(1)', 'JavaScript:alert(1)', ' javascript:alert(1)', 'java\tscript:alert(1)', '\u0001javascript:alert(1)', 'java\nscript:alert(1)']) {
+    const { html, removed } = sanitizeHtml(`<a href="${href}">x</a>`);
+    assert.equal(html, '<a>x</a>', JSON.stringify(href));
+    assert.deepEqual(removed.map(r => [r.kind, r.name]), [['url', 'javascript:']]);
+  }
+});
+
+test('allowed schemes and relative links are kept', () => {
+  const html = '<a href="https://example.com/">a</a><a href="/wiki/page">b</a><a href="mailto:me@example.com">c</a>';
+  assert.deepEqual(sanitizeHtml(html), { html, removed: [] });
+});
+
+test('data: URLs are allowed only for raster images', () => {
+  const png = 'data:image/png;base64,iVBORw0KGgo=';
+  assert.deepEqual(sanitizeHtml(`<img src="${png}">`), { html: `<img src="${png}">`, removed: [] });
+  for (const markup of [
+    '<img src="data:image/svg+xml;base64,PHN2Zz4=">',
+    '<img src="data:text/html;base64,PHNjcmlwdD4=">',
+    `<a href="${png}">x</a>`,
+  ]) {
+    const { removed } = sanitizeHtml(markup);
+    assert.deepEqual(removed.map(r => [r.kind, r.name]), [['url', 'data:']], markup);
+  }
+});
+
+test('svg, math, noscript and script are dropped together with their content', () => {
+  const { html, removed } = sanitizeHtml(
+    '<p>keep</p><svg><script>alert(1)</script><text>svg</text></svg><math><mi>x</mi></math>' +
+    '<noscript><img src=x onerror=alert(1)></noscript><script>alert(2)</script>');
+  assert.equal(html, '<p>keep</p>');
+  assert.deepEqual(removed, [
+    { kind: 'element', name: 'svg' },
+    { kind: 'element', name: 'math' },
+    { kind: 'element', name: 'noscript' },
+    { kind: 'element', name: 'script' },
+  ]);
+});
+
+test('unknown harmless tags are unwrapped and keep their text', () => {
+  const { html, removed } = sanitizeHtml('<p><font color="red">red <b>bold</b></font></p>');
+  assert.equal(html, '<p>red <b>bold</b></p>');
+  assert.deepEqual(removed, [{ kind: 'element', name: 'font' }]);
+});
+
+test('unsafe styles and non-checkbox inputs are removed; comments vanish unreported', () => {
+  const { html, removed } = sanitizeHtml(
+    '<p style="width: expression(alert(1))">a</p><!-- note --><input type="checkbox" checked><input type="text">');
+  assert.equal(html, '<p>a</p><input type="checkbox" checked="">');
+  assert.deepEqual(removed, [
+    { kind: 'style', name: 'style', value: 'width: expression(alert(1))' },
+    { kind: 'element', name: 'input type="text"' },
+  ]);
+});
+
+test('links that open a new tab get rel="noopener noreferrer"', () => {
+  assert.equal(sanitizeHtml('<a href="/x" target="_blank">x</a>').html,
+    '<a href="/x" target="_blank" rel="noopener noreferrer">x</a>');
+});
+
+test('a custom allowlist replaces the default keys it names', () => {
+  const strict = createSanitizer({ tags: ['p'], allowData: false });
+  const { html, removed } = strict('<p data-x="1">a</p><em>b</em>');
+  assert.equal(html, '<p>a</p>b');
+  assert.deepEqual(removed, [
+    { kind: 'attribute', name: 'data-x', value: '1' },
+    { kind: 'element', name: 'em' },
+  ]);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OTClient, applyOps, normalize, transform, transformSelection } from '../../src/STWiki/wwwroot/js/ot.js';
+
+// Seeded PRNG so a failing run can be replayed from its seed
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Simulates the server and several OTClients editing at random, with messages delivered in a
+ * random (per-channel FIFO) interleaving, then drains every channel. Each client also keeps a
+ * selection rebased over every remote op.
+ * @returns {{ text, texts, revision, problems: string[] }}
+ */
+function runConvergence({ seed, clients = 3, steps = 300, initial = 'The quick brown fox' }) {
+  const random = mulberry32(seed);
+  const pick = (n) => Math.floor(random() * n);
+  const server = { text: initial, history: [] };
+  const problems = [];
+
+  const sims = Array.from({ length: clients }, (_, id) => {
+    const sim = { id, text: initial, sel: { start: 0, end: 0 }, up: [], down: [] };
+    sim.ot = new OTClient({
+      send: (revision, ops) => sim.up.push({ revision, ops }),
+      apply: (ops) => {
+        sim.text = applyOps(sim.text, ops);
+        sim.sel = transformSelection(sim.sel, ops);
+      },
+    });
+    return sim;
+  });
+
+  const localEdit = (sim) => {
+    const ops = [];
+    for (let n = 1 + pick(2); n > 0; n--) {
+      const kind = pick(3), position = pick(sim.text.length + 1);
+      const op = {
+        type: ['insert', 'delete', 'replace'][kind],
+        position,
+        length: kind === 0 ? 0 : Math.min(1 + pick(3), sim.text.length - position),
+        text: kind === 1 ? '' : 'abc xyz\n'.slice(pick(8)).slice(0, 1 + pick(3)),
+      };
+      if (!op.length && !op.text) continue;
+      sim.text = applyOps(sim.text, normalize([op]));
+      sim.sel = { start: position + op.text.length, end: position + op.text.length };
+      ops.push(op);
+    }
+    sim.ot.applyLocal(ops);
+  };
+  const toServer = (sim) => {
+    let { revision, ops } = sim.up.shift();
+    for (const accepted of server.history.slice(revision)) [ops] = transform(ops, accepted, false);
+    server.text = applyOps(server.text, ops);
+    server.history.push(ops);
+    for (const other of sims) other.down.push(other === sim ? { ack: true } : { ops });
+  };
+  const toClient = (sim) => {
+    const message = sim.down.shift();
+    if (message.ack) sim.ot.serverAck();
+    else sim.ot.applyServer(message.ops);
+    if (sim.sel.start < 0 || sim.sel.end > sim.text.length) problems.push(`client ${sim.id}: selection out of range`);
+  };
+
+  for (let step = 0; step < steps; step++) {
+    const sim = sims[pick(clients)];
+    const action = pick(3);
+    if (action === 0) localEdit(sim);
+    else if (action === 1 && sim.up.length) toServer(sim);
+    else if (sim.down.length) toClient(sim);
+  }
+  // drain: every batch reaches the server and every ack/relay reaches its client
+  while (sims.some(s => s.up.length || s.down.length)) {
+    for (const sim of sims) {
+      if (sim.up.length) toServer(sim);
+      if (sim.down.length) toClient(sim);
+    }
+  }
+
+  for (const sim of sims) {
+    if (sim.text !== server.text) problems.push(`client ${sim.id} diverged: ${JSON.stringify(sim.text)}`);
+    if (sim.ot.revision !== server.history.length) problems.push(`client ${sim.id} at revision ${sim.ot.revision}, server at ${server.history.length}`);
+  }
+  return { text: server.text, texts: sims.map(s => s.text), revision: server.history.length, problems };
+}
+
+test('two inserts at one position keep the order the server accepted them in', () => {
+  const a = [{ type: 'insert', position: 3, length: 0, text: 'A' }];
+  const b = [{ type: 'insert', position: 3, length: 0, text: 'B' }];
+  const [a1, b1] = transform(a, b, true);
+  assert.equal(applyOps(applyOps('abcdef', a), b1), 'abcABdef');
+  assert.equal(applyOps(applyOps('abcdef', b), a1), 'abcABdef');
+});
+
+test('text inserted inside a range another client deleted survives', () => {
+  const del = normalize([{ type: 'delete', position: 1, length: 4, text: '' }]);
+  const ins = [{ type: 'insert', position: 3, length: 0, text: 'X' }];
+  const [del1, ins1] = transform(del, ins, true);
+  assert.equal(applyOps(applyOps('abcdef', del), ins1), 'aXf');
+  assert.equal(applyOps(applyOps('abcdef', ins), del1), 'aXf');
+});
+
+for (const [seed, clients, steps] of [[1, 2, 200], [7, 3, 300], [42, 3, 500], [1234, 4, 400], [20260101, 5, 600]]) {
+  test(`clients converge on the server's text (seed ${seed}, ${clients} clients, ${steps} steps)`, () => {
+    const run = runConvergence({ seed, clients, steps });
+    assert.deepEqual(run.problems, []);
+    assert.ok(run.revision > 0);
+    assert.deepEqual(run.texts, Array(clients).fill(run.text));
+  });
+}
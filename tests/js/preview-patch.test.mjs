@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './dom.mjs';
+import { parse, renderBlocks } from '../../src/STWiki/wwwroot/js/markdown.js';
+import { patchBlocks } from '../../src/STWiki/wwwroot/js/preview-patch.js';
+
+// rendered the way PreviewPlugin (wiki-editor.js) renders them
+const blocks = (text) => renderBlocks(parse(text), { interactiveTasks: true, sourcePositions: true });
+const page = '# Title\n\nSome text\n\n- [ ] open\n- [x] done\n\n```js\nlet a = 1;\n```\n';
+
+async function patched(...texts) {
+  const root = document.createElement('div');
+  const results = [];
+  let chunks = [];
+  for (const text of texts) {
+    const result = await patchBlocks(root, chunks, blocks(text));
+    results.push(result);
+    chunks = result.chunks;
+  }
+  return { root, results };
+}
+
+test('inserting a line at the top keeps the DOM nodes of every block below it', async () => {
+  const { results: [before, after] } = await patched(page, 'Intro\n\n' + page);
+  assert.equal(after.changed.length, 1);
+  assert.deepEqual(after.chunks.slice(1).map(c => c.el), before.chunks.map(c => c.el));
+});
+
+test('blocks that moved carry their new source lines in the live DOM', async () => {
+  const { root } = await patched(page, 'Intro\n\n' + page);
+  assert.equal(root.querySelector('h1').dataset.sourceLine, '2');
+  assert.deepEqual([...root.querySelectorAll('input[type="checkbox"]')].map(box => box.dataset.sourceLine), ['6', '7']);
+  assert.equal(root.querySelector('pre').dataset.sourceLine, '9');
+});
+
+test('only the edited block is rebuilt', async () => {
+  const { results: [before, after] } = await patched(page, page.replace('Some text', 'Other text'));
+  assert.equal(after.changed.length, 1);
+  assert.equal(after.changed[0].textContent.trim(), 'Other text');
+  assert.deepEqual(after.chunks.map(c => c.el).filter((el, k) => k !== 1), before.chunks.map(c => c.el).filter((el, k) => k !== 1));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffBlocks, applyHunks, merge3, resolveMerge } from '../../src/STWiki/wwwroot/js/text-diff.js';
+
+const base = 'one\ntwo\nthree\nfour\nfive';
+const edit = (text, line, value) => text.split('\n').map((l, i) => i === line ? value : l).join('\n');
+const unresolved = () => assert.fail('no conflict expected');
+
+test('a change from one side only is taken as it is', () => {
+  const mine = edit(base, 1, 'TWO');
+  const { chunks, conflicts, merged } = merge3(base, mine, base);
+  assert.equal(conflicts, 0);
+  assert.equal(merged, 1);
+  assert.deepEqual(chunks.filter(c => c.type !== 'same'), [{ type: 'merged', side: 'mine', lines: ['TWO'] }]);
+  assert.equal(resolveMerge(chunks, unresolved), mine);
+});
+
+test('changes from both sides on different parts of the text both land', () => {
+  const { chunks, conflicts } = merge3(base, edit(base, 0, 'ONE'), edit(base, 4, 'FIVE'));
+  assert.equal(conflicts, 0);
+  assert.equal(resolveMerge(chunks, unresolved), 'ONE\ntwo\nthree\nfour\nFIVE');
+});
+
+test('changes on adjacent lines are a conflict', () => {
+  const { chunks, conflicts } = merge3(base, edit(base, 1, 'TWO'), edit(base, 2, 'THREE'));
+  assert.equal(conflicts, 1);
+  const conflict = chunks.find(c => c.type === 'conflict');
+  assert.deepEqual(conflict, { type: 'conflict', index: 0, base: ['two', 'three'], mine: ['TWO', 'three'], theirs: ['two', 'THREE'] });
+  assert.equal(resolveMerge(chunks, c => c.theirs.join('\n')), edit(base, 2, 'THREE'));
+});
+
+test('the same edit on both sides merges as side "both"', () => {
+  const both = edit(base, 3, 'FOUR');
+  const { chunks, conflicts, merged } = merge3(base, both, both);
+  assert.equal(conflicts, 0);
+  assert.equal(merged, 1);
+  assert.deepEqual(chunks.filter(c => c.type !== 'same'), [{ type: 'merged', side: 'both', lines: ['FOUR'] }]);
+  assert.equal(resolveMerge(chunks, unresolved), both);
+});
+
+test('merging against an unchanged other side gives back my text', () => {
+  for (const mine of [
+    base,
+    '',
+    'zero\n' + base,
+    base + '\nsix',
+    'one\nthree\nfive',
+    'one\ntwo\nnew\nlines\nthree\nfour\nfive',
+    'completely\ndifferent',
+  ]) {
+    assert.equal(resolveMerge(merge3(base, mine, base).chunks, unresolved), mine, JSON.stringify(mine));
+    assert.equal(resolveMerge(merge3(base, base, mine).chunks, unresolved), mine, JSON.stringify(mine));
+  }
+});
+
+test('applyHunks keeping every hunk gives the new text, rejecting every hunk the old one', () => {
+  const before = 'The quick brown fox\njumps over\nthe lazy dog.\n';
+  const after = 'The slow brown fox\nleaps over\nthe lazy dog.\nThe end.\n';
+  const { blocks, hunks } = diffBlocks(before, after);
+  assert.ok(hunks.length > 1);
+  assert.equal(applyHunks(blocks, () => true), after);
+  assert.equal(applyHunks(blocks, () => false), before);
+});
+
+test('applyHunks can keep some hunks and reject others', () => {
+  const { blocks, hunks } = diffBlocks('a b c\n', 'a B c D\n');
+  assert.deepEqual(hunks.map(h => [h.del, h.add]), [['b', 'B'], ['', ' D']]);
+  assert.equal(applyHunks(blocks, h => h.index === 0), 'a B c\n');
+});